@@ -0,0 +1,356 @@
+/**
+ * Moctale Extension - Options Script
+ *
+ * Handles the options page. Settings live in chrome.storage.sync; the
+ * background service worker, content script and popup react to changes.
+ * Advanced settings are validated here before they are saved or imported.
+ */
+
+(function () {
+  'use strict';
+
+  // ============================================================================
+  // Constants
+  // ============================================================================
+
+  // Host permissions per rating badge site (mirrors BADGE_SITES in background.js)
+  const BADGE_SITE_ORIGINS = {
+    imdb: ['https://www.imdb.com/*', 'https://m.imdb.com/*'],
+    wikipedia: ['https://*.wikipedia.org/*'],
+    letterboxd: ['https://letterboxd.com/*']
+  };
+
+  const STATUS_DURATION = 2000;
+
+  // Defaults for chrome.storage.sync 'settings' (mirrors DEFAULT_SETTINGS in background.js)
+  const DEFAULT_SETTINGS = {
+    cacheTtlMinutes: {
+      searchResults: 5,
+      movieDetails: 15,
+      sessionState: 1,
+      titleMatches: 360,
+      queryFallbacks: 30
+    },
+    moctaleOrigins: ['https://www.moctale.in', 'https://moctale.in'],
+    searchDebounceMs: 300,
+    requestTimeoutSeconds: 10,
+    popupWindow: { width: 400, height: 520 },
+    pendingSearchExpiryMinutes: 5
+  };
+
+  // Allowed ranges for numeric settings, keyed by their path in the settings object
+  const NUMBER_LIMITS = {
+    'cacheTtlMinutes.searchResults': { label: 'Search results cache', min: 0.5, max: 10080 },
+    'cacheTtlMinutes.movieDetails': { label: 'Title details cache', min: 0.5, max: 10080 },
+    'cacheTtlMinutes.sessionState': { label: 'Login status cache', min: 0.25, max: 60 },
+    'cacheTtlMinutes.titleMatches': { label: 'Rating badge matches cache', min: 1, max: 10080 },
+    'cacheTtlMinutes.queryFallbacks': { label: '"Did you mean" cache', min: 1, max: 10080 },
+    requestTimeoutSeconds: { label: 'Request timeout', min: 1, max: 60, integer: true },
+    searchDebounceMs: { label: 'Search delay', min: 0, max: 2000, integer: true },
+    'popupWindow.width': { label: 'Window width', min: 320, max: 1600, integer: true },
+    'popupWindow.height': { label: 'Window height', min: 400, max: 1200, integer: true },
+    pendingSearchExpiryMinutes: { label: 'Context-menu search expiry', min: 1, max: 60, integer: true }
+  };
+
+  // The extension only has host permission for these origins (see host_permissions in manifest.json)
+  const ALLOWED_MOCTALE_ORIGINS = ['https://www.moctale.in', 'https://moctale.in'];
+
+  // ============================================================================
+  // DOM Elements
+  // ============================================================================
+
+  const elements = {
+    badgeToggles: document.querySelectorAll('[data-badge-site]'),
+    settingsForm: document.getElementById('settings-form'),
+    settingsErrors: document.getElementById('settings-errors'),
+    resetSettingsBtn: document.getElementById('reset-settings-btn'),
+    exportSettingsBtn: document.getElementById('export-settings-btn'),
+    importSettingsBtn: document.getElementById('import-settings-btn'),
+    importSettingsInput: document.getElementById('import-settings-input'),
+    statusMessage: document.getElementById('status-message')
+  };
+
+  let statusTimer = null;
+
+  // ============================================================================
+  // Utility Functions
+  // ============================================================================
+
+  /**
+   * Show a short-lived status message
+   */
+  function showStatus(message, isError = false) {
+    clearTimeout(statusTimer);
+    elements.statusMessage.textContent = message;
+    elements.statusMessage.classList.toggle('error', isError);
+    statusTimer = setTimeout(() => {
+      elements.statusMessage.textContent = '';
+    }, STATUS_DURATION);
+  }
+
+  // ============================================================================
+  // Rating Badges
+  // ============================================================================
+
+  /**
+   * Reflect saved badge settings (and granted permissions) in the toggles
+   */
+  async function loadBadgeSettings() {
+    const { badgeSites = {} } = await chrome.storage.sync.get('badgeSites');
+
+    for (const toggle of elements.badgeToggles) {
+      const site = toggle.dataset.badgeSite;
+      const granted = await chrome.permissions.contains({ origins: BADGE_SITE_ORIGINS[site] });
+      toggle.checked = badgeSites[site] === true && granted;
+    }
+  }
+
+  /**
+   * Handle a badge site toggle, requesting host permission when enabling
+   */
+  async function handleBadgeToggle(event) {
+    const toggle = event.target;
+    const site = toggle.dataset.badgeSite;
+    const origins = BADGE_SITE_ORIGINS[site];
+
+    if (toggle.checked) {
+      const granted = await chrome.permissions.request({ origins });
+      if (!granted) {
+        toggle.checked = false;
+        showStatus('Permission was not granted', true);
+        return;
+      }
+    } else {
+      await chrome.permissions.remove({ origins });
+    }
+
+    const { badgeSites = {} } = await chrome.storage.sync.get('badgeSites');
+    await chrome.storage.sync.set({
+      badgeSites: { ...badgeSites, [site]: toggle.checked }
+    });
+
+    showStatus(toggle.checked ? 'Badges enabled' : 'Badges disabled');
+  }
+
+  // ============================================================================
+  // Advanced Settings
+  // ============================================================================
+
+  function getPath(object, path) {
+    return path.split('.').reduce((value, key) => value?.[key], object);
+  }
+
+  function setPath(object, path, value) {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const parent = keys.reduce((target, key) => (target[key] = target[key] || {}), object);
+    parent[last] = value;
+  }
+
+  /**
+   * Normalize a Moctale address to its origin, or return null if it isn't one
+   * the extension has host permission for
+   */
+  function normalizeOrigin(value) {
+    try {
+      const url = new URL(String(value).trim());
+      const isOrigin = url.pathname === '/' && !url.search && !url.hash;
+      return isOrigin && ALLOWED_MOCTALE_ORIGINS.includes(url.origin) ? url.origin : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Check settings from the form or an imported file. Missing values fall back
+   * to the defaults. Returns { settings, errors } where errors are { path, message }.
+   */
+  function validateSettings(candidate) {
+    const settings = structuredClone(DEFAULT_SETTINGS);
+    const errors = [];
+
+    for (const [path, limits] of Object.entries(NUMBER_LIMITS)) {
+      const raw = getPath(candidate, path);
+      if (raw === undefined) continue;
+
+      const value = raw === '' ? NaN : Number(raw);
+      if (!Number.isFinite(value) || value < limits.min || value > limits.max) {
+        errors.push({ path, message: `${limits.label} must be between ${limits.min} and ${limits.max}` });
+      } else if (limits.integer && !Number.isInteger(value)) {
+        errors.push({ path, message: `${limits.label} must be a whole number` });
+      } else {
+        setPath(settings, path, value);
+      }
+    }
+
+    if (candidate.moctaleOrigins !== undefined) {
+      const origins = Array.isArray(candidate.moctaleOrigins) ? candidate.moctaleOrigins : [];
+      const normalized = origins.map(normalizeOrigin);
+      const invalid = origins.filter((origin, index) => !normalized[index]);
+
+      if (origins.length === 0) {
+        errors.push({ path: 'moctaleOrigins', message: 'Enter at least one Moctale address' });
+      } else if (invalid.length > 0) {
+        errors.push({
+          path: 'moctaleOrigins',
+          message: `Not a supported Moctale address: ${invalid.join(', ')} (use ${ALLOWED_MOCTALE_ORIGINS.join(' or ')})`
+        });
+      } else {
+        settings.moctaleOrigins = [...new Set(normalized)];
+      }
+    }
+
+    return { settings, errors };
+  }
+
+  function readSettingsForm() {
+    const candidate = {};
+    for (const input of elements.settingsForm.querySelectorAll('[name]')) {
+      const value = input.name === 'moctaleOrigins'
+        ? input.value.split(/\r?\n/).map(line => line.trim()).filter(Boolean)
+        : input.value.trim();
+      setPath(candidate, input.name, value);
+    }
+    return candidate;
+  }
+
+  function fillSettingsForm(settings) {
+    for (const input of elements.settingsForm.querySelectorAll('[name]')) {
+      const value = getPath(settings, input.name);
+      input.value = Array.isArray(value) ? value.join('\n') : value;
+      input.classList.remove('invalid');
+    }
+    showSettingsErrors([]);
+  }
+
+  function showSettingsErrors(errors) {
+    elements.settingsErrors.classList.toggle('hidden', errors.length === 0);
+    elements.settingsErrors.replaceChildren(...errors.map(error => {
+      const item = document.createElement('li');
+      item.textContent = error.message;
+      return item;
+    }));
+
+    const invalidPaths = new Set(errors.map(error => error.path));
+    for (const input of elements.settingsForm.querySelectorAll('[name]')) {
+      input.classList.toggle('invalid', invalidPaths.has(input.name));
+    }
+  }
+
+  /**
+   * Show the saved settings (stored values are validated the same way as imports)
+   */
+  async function loadSettings() {
+    const { settings } = await chrome.storage.sync.get('settings');
+    fillSettingsForm(validateSettings(settings || {}).settings);
+  }
+
+  async function handleSettingsSubmit(event) {
+    event.preventDefault();
+
+    const { settings, errors } = validateSettings(readSettingsForm());
+    showSettingsErrors(errors);
+    if (errors.length > 0) {
+      showStatus('Settings not saved', true);
+      return;
+    }
+
+    await chrome.storage.sync.set({ settings });
+    showStatus('Settings saved');
+  }
+
+  async function handleResetSettings() {
+    if (!window.confirm('Reset all advanced settings to their defaults?')) return;
+
+    await chrome.storage.sync.remove('settings');
+    fillSettingsForm(DEFAULT_SETTINGS);
+    showStatus('Settings reset to defaults');
+  }
+
+  async function handleExportSettings() {
+    const { settings } = await chrome.storage.sync.get('settings');
+    const json = JSON.stringify(validateSettings(settings || {}).settings, null, 2);
+
+    const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'moctale-settings.json';
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  async function handleImportSettings() {
+    const file = elements.importSettingsInput.files[0];
+    elements.importSettingsInput.value = '';
+    if (!file) return;
+
+    let candidate;
+    try {
+      candidate = JSON.parse(await file.text());
+    } catch (e) {
+      showStatus('That file is not valid JSON', true);
+      return;
+    }
+
+    if (!candidate || typeof candidate !== 'object' || Array.isArray(candidate)) {
+      showStatus('That file does not contain settings', true);
+      return;
+    }
+
+    const { settings, errors } = validateSettings(candidate);
+    if (errors.length > 0) {
+      showSettingsErrors(errors);
+      showStatus('Settings not imported', true);
+      return;
+    }
+
+    await chrome.storage.sync.set({ settings });
+    fillSettingsForm(settings);
+    showStatus('Settings imported');
+  }
+
+  // ============================================================================
+  // Initialization
+  // ============================================================================
+
+  function setupEventListeners() {
+    elements.badgeToggles.forEach(toggle => {
+      toggle.addEventListener('change', handleBadgeToggle);
+    });
+
+    elements.settingsForm.addEventListener('submit', handleSettingsSubmit);
+    elements.resetSettingsBtn.addEventListener('click', handleResetSettings);
+    elements.exportSettingsBtn.addEventListener('click', handleExportSettings);
+    elements.importSettingsBtn.addEventListener('click', () => elements.importSettingsInput.click());
+    elements.importSettingsInput.addEventListener('change', handleImportSettings);
+
+    // Settings saved elsewhere (another window, or synced from another device)
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'sync' && changes.settings) {
+        fillSettingsForm(validateSettings(changes.settings.newValue || {}).settings);
+      }
+    });
+  }
+
+  /**
+   * Show each numeric setting's allowed range on its input
+   */
+  function applyInputLimits() {
+    for (const [path, limits] of Object.entries(NUMBER_LIMITS)) {
+      const input = elements.settingsForm.querySelector(`[name="${path}"]`);
+      input.min = limits.min;
+      input.max = limits.max;
+    }
+  }
+
+  async function init() {
+    setupEventListeners();
+    applyInputLimits();
+    await loadBadgeSettings();
+    await loadSettings();
+  }
+
+  // Start the app
+  init();
+
+})();
@@ -0,0 +1,688 @@
+/**
+ * Moctale Extension - Import Script
+ *
+ * Matches a Letterboxd or IMDb CSV export to Moctale titles. The file is
+ * parsed here; each row is resolved through the background's RESOLVE_TITLE
+ * handler, one at a time with a pause in between. Progress is saved to
+ * chrome.storage.local every few rows and on pause so a closed tab can resume.
+ */
+
+(function () {
+  'use strict';
+
+  // ============================================================================
+  // Constants
+  // ============================================================================
+
+  const MESSAGE_TYPES = {
+    RESOLVE_TITLE: 'RESOLVE_TITLE'
+  };
+
+  // chrome.storage.local keys: the import in progress, and the last saved mapping
+  const IMPORT_JOB_KEY = 'importJob';
+  const IMPORT_MAPPING_KEY = 'importMapping';
+
+  // Pause between lookups so a long export doesn't flood Moctale
+  const LOOKUP_INTERVAL = 750;
+
+  // Rows matched between progress saves (each save rewrites the whole job)
+  const SAVE_INTERVAL_ROWS = 20;
+
+  // Runners-up kept per row for fixing a match by hand
+  const CANDIDATES_KEPT = 3;
+
+  // Match confidence levels (mirrors the popup's bulk lookup)
+  const MATCH_CONFIDENCE = {
+    high: 0.85,
+    medium: 0.6
+  };
+
+  const MOCTALE_URL = 'https://www.moctale.in';
+
+  const STATUS_DURATION = 3000;
+
+  // IMDb title types that aren't titles Moctale lists
+  const IMDB_SKIPPED_TYPES = /episode|video ?game|podcast/i;
+
+  /**
+   * Supported exports, checked in order; the first whose columns are all present wins
+   */
+  const FORMATS = {
+    'imdb-ratings': {
+      label: 'IMDb ratings',
+      columns: ['Const', 'Your Rating', 'Title', 'Year'],
+      toEntry: row => (IMDB_SKIPPED_TYPES.test(row['Title Type'] || '') ? null : {
+        title: row.Title,
+        year: parseInt(row.Year, 10) || null,
+        type: /series/i.test(row['Title Type'] || '') ? 'series' : 'movie',
+        rating: parseInt(row['Your Rating'], 10) || null,
+        date: row['Date Rated'] || null
+      })
+    },
+
+    'letterboxd-ratings': {
+      label: 'Letterboxd ratings',
+      columns: ['Name', 'Year', 'Letterboxd URI', 'Rating'],
+      toEntry: row => ({
+        title: row.Name,
+        year: parseInt(row.Year, 10) || null,
+        type: 'movie',
+        // Half stars out of 5 -> out of 10
+        rating: Math.round(parseFloat(row.Rating) * 2) || null,
+        date: row.Date || null
+      })
+    },
+
+    'letterboxd-watched': {
+      label: 'Letterboxd watched',
+      columns: ['Name', 'Year', 'Letterboxd URI'],
+      toEntry: row => ({
+        title: row.Name,
+        year: parseInt(row.Year, 10) || null,
+        type: 'movie',
+        rating: null,
+        date: row.Date || null
+      })
+    }
+  };
+
+  // ============================================================================
+  // DOM Elements
+  // ============================================================================
+
+  const elements = {
+    resumeSection: document.getElementById('resume-section'),
+    resumeDescription: document.getElementById('resume-description'),
+    resumeBtn: document.getElementById('resume-btn'),
+    discardBtn: document.getElementById('discard-btn'),
+
+    fileInput: document.getElementById('file-input'),
+
+    progressSection: document.getElementById('progress-section'),
+    progressTitle: document.getElementById('progress-title'),
+    progressDescription: document.getElementById('progress-description'),
+    progressBar: document.getElementById('progress-bar'),
+    pauseBtn: document.getElementById('pause-btn'),
+    continueBtn: document.getElementById('continue-btn'),
+
+    reviewSection: document.getElementById('review-section'),
+    reviewFilter: document.getElementById('review-filter'),
+    reviewBody: document.getElementById('review-body'),
+    saveBtn: document.getElementById('save-btn'),
+    exportJsonBtn: document.getElementById('export-json-btn'),
+    exportCsvBtn: document.getElementById('export-csv-btn'),
+
+    statusMessage: document.getElementById('status-message')
+  };
+
+  // ============================================================================
+  // State
+  // ============================================================================
+
+  /*
+   * job looks like { fileName, format, entries, nextIndex, startedAt }, where each entry is
+   * { title, year, type, rating, date, status, match, confidence, candidates, manual }
+   */
+  let job = null;
+  let runId = 0;
+  let isRunning = false;
+  let statusTimer = null;
+
+  // ============================================================================
+  // Utility Functions
+  // ============================================================================
+
+  /**
+   * Show a short-lived status message
+   */
+  function showStatus(message, isError = false) {
+    clearTimeout(statusTimer);
+    elements.statusMessage.textContent = message;
+    elements.statusMessage.classList.toggle('error', isError);
+    statusTimer = setTimeout(() => {
+      elements.statusMessage.textContent = '';
+    }, STATUS_DURATION);
+  }
+
+  function escapeHtml(text) {
+    if (text === null || text === undefined) return '';
+    const div = document.createElement('div');
+    div.textContent = String(text);
+    return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+  }
+
+  function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Keep only what the review table and export need from a search result
+   */
+  function summarizeMovie(movie) {
+    return movie ? {
+      id: movie.id,
+      title: movie.title,
+      year: movie.year,
+      type: movie.type,
+      url: movie.url
+    } : null;
+  }
+
+  /**
+   * Confidence level of an entry's match: 'manual', 'high', 'medium', 'low' or 'none'
+   * ("No match" picked by hand is still 'none')
+   */
+  function getMatchLevel(entry) {
+    if (!entry.match) return 'none';
+    if (entry.manual) return 'manual';
+    if (entry.confidence >= MATCH_CONFIDENCE.high) return 'high';
+    if (entry.confidence >= MATCH_CONFIDENCE.medium) return 'medium';
+    return 'low';
+  }
+
+  function needsReview(entry) {
+    return entry.status === 'done' && !entry.manual && ['medium', 'low', 'none'].includes(getMatchLevel(entry));
+  }
+
+  async function saveJob() {
+    await chrome.storage.local.set({ [IMPORT_JOB_KEY]: job });
+  }
+
+  /**
+   * Save the job, showing a failure (e.g. storage quota exceeded) instead of throwing.
+   * Returns whether it was saved.
+   */
+  async function trySaveJob() {
+    try {
+      await saveJob();
+      return true;
+    } catch (error) {
+      showStatus(`Couldn't save import progress: ${error.message}`, true);
+      return false;
+    }
+  }
+
+  // ============================================================================
+  // CSV Parsing
+  // ============================================================================
+
+  /**
+   * Parse CSV text (RFC 4180: quoted fields, doubled quotes, CRLF) into rows of fields
+   */
+  function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (inQuotes) {
+        if (char === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        inQuotes = true;
+      } else if (char === ',') {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+
+    if (field || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+
+    return rows.filter(fields => fields.some(value => value.trim()));
+  }
+
+  /**
+   * Turn an export into import entries. Returns { format, entries } or null if the format is unknown.
+   */
+  function parseExport(text) {
+    const [header, ...rows] = parseCsv(text.replace(/^\uFEFF/, ''));
+    if (!header) return null;
+
+    const columns = header.map(name => name.trim());
+    const formatId = Object.keys(FORMATS).find(id =>
+      FORMATS[id].columns.every(column => columns.includes(column))
+    );
+    if (!formatId) return null;
+
+    const entries = rows
+      .map(fields => Object.fromEntries(columns.map((column, index) => [column, (fields[index] || '').trim()])))
+      .map(FORMATS[formatId].toEntry)
+      .filter(entry => entry && entry.title)
+      .map(entry => ({
+        ...entry,
+        status: 'pending',
+        match: null,
+        confidence: 0,
+        candidates: [],
+        manual: false
+      }));
+
+    return { format: formatId, entries };
+  }
+
+  // ============================================================================
+  // Matching
+  // ============================================================================
+
+  /**
+   * Match the remaining entries one at a time, saving progress every few rows.
+   * Stops (without skipping the entry) when Moctale can't be searched or
+   * progress can't be saved.
+   */
+  async function runImport() {
+    if (!job || isRunning) return;
+
+    const currentRun = ++runId;
+    isRunning = true;
+    renderProgress();
+
+    try {
+      await matchEntries(currentRun);
+    } catch (error) {
+      if (currentRun !== runId) return;
+      isRunning = false;
+      renderProgress();
+      showStatus(`Paused: ${error.message}`, true);
+      return;
+    }
+
+    if (currentRun === runId) {
+      isRunning = false;
+      renderProgress();
+    }
+  }
+
+  /**
+   * The matching loop of runImport; returns early when the run is paused or replaced
+   */
+  async function matchEntries(currentRun) {
+    while (job.nextIndex < job.entries.length && currentRun === runId) {
+      const index = job.nextIndex;
+      const entry = job.entries[index];
+
+      let response;
+      try {
+        response = await chrome.runtime.sendMessage({
+          type: MESSAGE_TYPES.RESOLVE_TITLE,
+          title: entry.title,
+          year: entry.year,
+          mediaType: entry.type
+        });
+      } catch (error) {
+        response = { success: false, message: error.message };
+      }
+
+      if (currentRun !== runId) return;
+
+      if (!response?.success) {
+        await saveJob();
+        if (currentRun !== runId) return;
+        isRunning = false;
+        renderProgress();
+        showStatus(`Paused: ${response?.message || 'Moctale could not be searched'}`, true);
+        return;
+      }
+
+      Object.assign(entry, {
+        status: 'done',
+        match: summarizeMovie(response.match),
+        confidence: response.confidence,
+        candidates: (response.candidates || []).slice(0, CANDIDATES_KEPT).map(summarizeMovie)
+      });
+      job.nextIndex = index + 1;
+      if (job.nextIndex % SAVE_INTERVAL_ROWS === 0 || job.nextIndex === job.entries.length) {
+        await saveJob();
+      }
+
+      renderProgress();
+      appendReviewRow(entry, index);
+
+      if (job.nextIndex < job.entries.length) {
+        await sleep(LOOKUP_INTERVAL);
+      }
+    }
+  }
+
+  function pauseImport() {
+    runId++;
+    isRunning = false;
+    renderProgress();
+  }
+
+  /**
+   * Pause button: stop matching and save the rows matched since the last save
+   */
+  async function handlePause() {
+    pauseImport();
+    await trySaveJob();
+  }
+
+  // ============================================================================
+  // Rendering
+  // ============================================================================
+
+  /**
+   * Show the "resume" prompt for an unfinished import left from a previous visit
+   */
+  function renderResumePrompt() {
+    const unfinished = job && job.nextIndex < job.entries.length;
+    elements.resumeSection.classList.toggle('hidden', !unfinished);
+
+    if (unfinished) {
+      elements.resumeDescription.textContent =
+        `Matching ${job.fileName} (${FORMATS[job.format].label}) stopped at ${job.nextIndex} of ${job.entries.length} titles.`;
+    }
+  }
+
+  function renderProgress() {
+    if (!job) {
+      elements.progressSection.classList.add('hidden');
+      return;
+    }
+
+    const total = job.entries.length;
+    const done = job.nextIndex;
+    const isComplete = done >= total;
+    const toReview = job.entries.filter(needsReview).length;
+
+    elements.progressSection.classList.remove('hidden');
+    elements.resumeSection.classList.add('hidden');
+    elements.progressTitle.textContent = isComplete ? 'Matching Complete' : 'Matching Titles';
+    elements.progressDescription.textContent =
+      `${job.fileName} · ${done} of ${total} titles matched` +
+      (toReview > 0 ? ` · ${toReview} to review` : '');
+    elements.progressBar.max = total || 1;
+    elements.progressBar.value = done;
+
+    elements.pauseBtn.classList.toggle('hidden', !isRunning);
+    elements.continueBtn.classList.toggle('hidden', isRunning || isComplete);
+    elements.reviewSection.classList.toggle('hidden', done === 0);
+  }
+
+  function renderMatchPicker(entry, index) {
+    const options = entry.candidates.map(movie => `
+      <option value="${escapeHtml(movie.id)}" ${entry.match?.id === movie.id ? 'selected' : ''}>
+        ${escapeHtml(movie.title)}${movie.year ? ` (${movie.year})` : ''}
+      </option>
+    `).join('');
+
+    return `
+      <select class="select match-picker" data-pick="${index}" aria-label="Pick the right title">
+        ${entry.match || entry.manual ? '' : '<option value="" selected>Pick a title…</option>'}
+        ${options}
+        <option value="none" ${entry.manual && !entry.match ? 'selected' : ''}>No match</option>
+      </select>
+    `;
+  }
+
+  function renderReviewRow(entry, index) {
+    const level = getMatchLevel(entry);
+    const percent = Math.round(entry.confidence * 100);
+    const levelLabels = {
+      manual: 'Picked by hand',
+      high: `Confident match (${percent}%)`,
+      medium: `Possible match (${percent}%)`,
+      low: `Weak match (${percent}%)`,
+      none: entry.manual ? 'Marked as no match' : 'No match found'
+    };
+
+    const matchHtml = entry.match
+      ? `<a class="match-link" href="${MOCTALE_URL}${escapeHtml(entry.match.url)}" target="_blank" rel="noopener">
+           ${escapeHtml(entry.match.title)}${entry.match.year ? ` (${entry.match.year})` : ''}
+         </a>`
+      : '<span class="muted">No match</span>';
+
+    return `
+      <tr data-row="${index}">
+        <td>
+          <span class="entry-title">${escapeHtml(entry.title)}</span>
+          ${entry.year ? `<span class="muted">${entry.year}</span>` : ''}
+        </td>
+        <td class="entry-rating">${entry.rating ? `★ ${entry.rating}/10` : '<span class="muted">–</span>'}</td>
+        <td>
+          ${matchHtml}
+          ${entry.candidates.length > 0 ? renderMatchPicker(entry, index) : ''}
+        </td>
+        <td><span class="confidence-dot ${level}" title="${levelLabels[level]}" aria-label="${levelLabels[level]}"></span></td>
+      </tr>
+    `;
+  }
+
+  function isVisible(entry) {
+    const filter = elements.reviewFilter.value;
+    if (entry.status !== 'done') return false;
+    if (filter === 'review') return needsReview(entry);
+    if (filter === 'unmatched') return !entry.match;
+    return true;
+  }
+
+  function renderReview() {
+    elements.reviewBody.innerHTML = job
+      ? job.entries.map((entry, index) => (isVisible(entry) ? renderReviewRow(entry, index) : '')).join('')
+      : '';
+  }
+
+  /**
+   * Add a freshly matched row without re-rendering the table (keeps open pickers intact)
+   */
+  function appendReviewRow(entry, index) {
+    if (isVisible(entry)) {
+      elements.reviewBody.insertAdjacentHTML('beforeend', renderReviewRow(entry, index));
+    }
+  }
+
+  // ============================================================================
+  // Saving & Export
+  // ============================================================================
+
+  /**
+   * The reviewed mapping: one row per imported title, with its Moctale slug (or null)
+   */
+  function buildMapping() {
+    return {
+      source: job.format,
+      fileName: job.fileName,
+      savedAt: new Date().toISOString(),
+      entries: job.entries
+        .filter(entry => entry.status === 'done')
+        .map(entry => ({
+          title: entry.title,
+          year: entry.year,
+          type: entry.type,
+          rating: entry.rating,
+          date: entry.date,
+          slug: entry.match?.id || null,
+          moctaleTitle: entry.match?.title || null,
+          confidence: entry.manual ? 1 : Number(entry.confidence.toFixed(2)),
+          manual: entry.manual
+        }))
+    };
+  }
+
+  function toCsvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  function mappingToCsv(mapping) {
+    const columns = ['title', 'year', 'type', 'rating', 'date', 'slug', 'moctaleTitle', 'confidence', 'manual'];
+    const lines = [
+      columns.join(','),
+      ...mapping.entries.map(entry => columns.map(column => toCsvField(entry[column])).join(','))
+    ];
+    return lines.join('\r\n');
+  }
+
+  function download(content, fileName, mimeType) {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  function exportBaseName() {
+    return `moctale-import-${job.format}`;
+  }
+
+  // ============================================================================
+  // Event Handlers
+  // ============================================================================
+
+  async function handleFileChange() {
+    const file = elements.fileInput.files[0];
+    if (!file) return;
+
+    const parsed = parseExport(await file.text());
+    elements.fileInput.value = '';
+
+    if (!parsed) {
+      showStatus('Unrecognized file. Use a Letterboxd or IMDb CSV export.', true);
+      return;
+    }
+
+    if (parsed.entries.length === 0) {
+      showStatus('No titles found in this file.', true);
+      return;
+    }
+
+    const hasUnfinished = job && job.nextIndex < job.entries.length;
+    if (hasUnfinished && !window.confirm(`Discard the unfinished import of ${job.fileName}?`)) {
+      return;
+    }
+
+    pauseImport();
+    job = {
+      fileName: file.name,
+      format: parsed.format,
+      entries: parsed.entries,
+      nextIndex: 0,
+      startedAt: Date.now()
+    };
+    // Without a saved job the import couldn't resume, so don't start it
+    if (!await trySaveJob()) {
+      job = null;
+      renderProgress();
+      renderReview();
+      return;
+    }
+
+    showStatus(`${FORMATS[job.format].label}: ${job.entries.length} titles found`);
+    renderReview();
+    runImport();
+  }
+
+  function handleResume() {
+    renderReview();
+    runImport();
+  }
+
+  async function handleDiscard() {
+    pauseImport();
+    job = null;
+    await chrome.storage.local.remove(IMPORT_JOB_KEY);
+    elements.resumeSection.classList.add('hidden');
+    elements.progressSection.classList.add('hidden');
+    elements.reviewSection.classList.add('hidden');
+    renderReview();
+  }
+
+  async function handlePick(event) {
+    const picker = event.target.closest('[data-pick]');
+    if (!picker) return;
+
+    const index = Number(picker.dataset.pick);
+    const entry = job.entries[index];
+
+    entry.match = picker.value === 'none'
+      ? null
+      : entry.candidates.find(movie => movie.id === picker.value) || entry.match;
+    entry.manual = true;
+    await trySaveJob();
+
+    const row = elements.reviewBody.querySelector(`[data-row="${index}"]`);
+    if (row) {
+      row.outerHTML = renderReviewRow(entry, index);
+    }
+    renderProgress();
+  }
+
+  async function handleSave() {
+    try {
+      await chrome.storage.local.set({ [IMPORT_MAPPING_KEY]: buildMapping() });
+      showStatus('Mapping saved');
+    } catch (error) {
+      showStatus(`Couldn't save the mapping: ${error.message}`, true);
+    }
+  }
+
+  function handleExportJson() {
+    download(JSON.stringify(buildMapping(), null, 2), `${exportBaseName()}.json`, 'application/json');
+  }
+
+  function handleExportCsv() {
+    download(mappingToCsv(buildMapping()), `${exportBaseName()}.csv`, 'text/csv');
+  }
+
+  // ============================================================================
+  // Initialization
+  // ============================================================================
+
+  function setupEventListeners() {
+    elements.fileInput.addEventListener('change', handleFileChange);
+    elements.resumeBtn.addEventListener('click', handleResume);
+    elements.discardBtn.addEventListener('click', handleDiscard);
+    elements.pauseBtn.addEventListener('click', handlePause);
+    // Best effort: keep the rows matched since the last save when the tab closes
+    window.addEventListener('pagehide', () => {
+      if (job) saveJob().catch(() => {});
+    });
+    elements.continueBtn.addEventListener('click', runImport);
+    elements.reviewFilter.addEventListener('change', renderReview);
+    elements.reviewBody.addEventListener('change', handlePick);
+    elements.saveBtn.addEventListener('click', handleSave);
+    elements.exportJsonBtn.addEventListener('click', handleExportJson);
+    elements.exportCsvBtn.addEventListener('click', handleExportCsv);
+  }
+
+  async function init() {
+    setupEventListeners();
+
+    const { [IMPORT_JOB_KEY]: savedJob } = await chrome.storage.local.get(IMPORT_JOB_KEY);
+    job = savedJob || null;
+    if (!job) return;
+
+    // Finished imports reopen for review; unfinished ones wait for "Resume"
+    if (job.nextIndex >= job.entries.length) {
+      renderProgress();
+      renderReview();
+    } else {
+      renderResumePrompt();
+    }
+  }
+
+  // Start the app
+  init();
+
+})();
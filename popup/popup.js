@@ -18,13 +18,72 @@
     OPEN_LOGIN: 'OPEN_LOGIN',
     OPEN_MOCTALE: 'OPEN_MOCTALE',
     GET_PENDING_SEARCH: 'GET_PENDING_SEARCH',
-    CLEAR_PENDING_SEARCH: 'CLEAR_PENDING_SEARCH'
+    CLEAR_PENDING_SEARCH: 'CLEAR_PENDING_SEARCH',
+    GET_CACHE_STATS: 'GET_CACHE_STATS',
+    RATE_TITLE: 'RATE_TITLE',
+    SET_WATCH_STATUS: 'SET_WATCH_STATUS',
+    GET_SEARCH_HISTORY: 'GET_SEARCH_HISTORY',
+    ADD_SEARCH_HISTORY: 'ADD_SEARCH_HISTORY',
+    REMOVE_SEARCH_HISTORY: 'REMOVE_SEARCH_HISTORY',
+    CLEAR_SEARCH_HISTORY: 'CLEAR_SEARCH_HISTORY',
+    RESOLVE_TITLE: 'RESOLVE_TITLE',
+    RATE_LIMITED: 'RATE_LIMITED',
+    CANCEL_SEARCH: 'CANCEL_SEARCH',
+    SESSION_CHANGED: 'SESSION_CHANGED'
+  };
+
+  // Rating scale offered in the details view
+  const RATING_VALUES = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+
+  const WATCH_STATUS_LABELS = {
+    watched: 'Watched',
+    want_to_watch: 'Want to Watch',
+    dropped: 'Dropped'
   };
 
   // ============================================================================
   // State Management
   // ============================================================================
 
+  const DEFAULT_FILTERS = {
+    type: 'all',        // 'all' | 'movie' | 'series'
+    yearFrom: null,
+    yearTo: null,
+    sort: 'relevance'   // 'relevance' | 'rating' | 'year'
+  };
+
+  const MOCTALE_URL = 'https://www.moctale.in';
+
+  const EXPORT_FORMATS = {
+    json: { extension: 'json', mimeType: 'application/json' },
+    csv: { extension: 'csv', mimeType: 'text/csv' },
+    markdown: { extension: 'md', mimeType: 'text/markdown' }
+  };
+
+  // Fields offered for CSV and Markdown export (JSON has the full objects).
+  // detailsOnly fields aren't part of search results.
+  const EXPORT_FIELDS = [
+    { key: 'title', label: 'Title' },
+    { key: 'year', label: 'Year' },
+    { key: 'type', label: 'Type' },
+    { key: 'rating', label: 'Rating' },
+    { key: 'ratingCount', label: 'Ratings' },
+    { key: 'url', label: 'Link' },
+    { key: 'summary', label: 'Summary' },
+    { key: 'genres', label: 'Genres', detailsOnly: true },
+    { key: 'duration', label: 'Duration', detailsOnly: true },
+    { key: 'director', label: 'Director', detailsOnly: true },
+    { key: 'cast', label: 'Cast', detailsOnly: true },
+    { key: 'streamingPlatforms', label: 'Streaming On', detailsOnly: true },
+    { key: 'userRating', label: 'Your Rating', detailsOnly: true },
+    { key: 'slug', label: 'Slug' }
+  ];
+
+  const DEFAULT_EXPORT_SETTINGS = {
+    format: 'markdown', // 'json' | 'csv' | 'markdown'
+    fields: ['title', 'year', 'type', 'rating', 'url', 'genres', 'director']
+  };
+
   const state = {
     isLoggedIn: false,
     username: null,
@@ -32,12 +91,94 @@
     searchResults: [],
     isSearching: false,
     error: null,
-    lastSearchTime: 0
+    lastSearchTime: 0,
+
+    // ID of the latest search or page request; responses to older ones are dropped
+    searchRequestId: null,
+
+    // Pagination
+    activeQuery: '',
+    pagination: null,
+    isLoadingMore: false,
+
+    // Stale cache info for the shown results: { age, offline } or null
+    resultsFreshness: null,
+
+    // Whether the query came from a page selection and should be cleaned up before searching
+    cleanQuery: false,
+
+    // Year the background parsed out of the query, and whether the user dismissed it
+    parsedYear: null,
+    ignoreYear: false,
+
+    // Variant searched instead when the query found nothing, and whether the user asked for the original
+    fallbackQuery: null,
+    noFallback: false,
+
+    // Whether the active search was submitted (Enter, history, context menu) rather than typed;
+    // only submitted searches try variants when nothing is found
+    searchSubmitted: false,
+
+    // Latin spellings also searched for an Indic-script query
+    transliterated: [],
+
+    // Search history, most recent first: [{ query, timestamp, title }]
+    history: [],
+
+    // Keyboard selection in the results list (-1 when nothing is selected)
+    selectedIndex: -1,
+
+    // Client-side result filters, saved between sessions
+    filters: { ...DEFAULT_FILTERS },
+
+    // Export format and fields (saved between sessions), and what the open panel exports
+    exportSettings: { ...DEFAULT_EXPORT_SETTINGS },
+    exportTarget: null, // 'results' | 'details' | null
+
+    // Details view
+    view: 'loading',
+    selectedMovie: null,
+    movieDetails: null,
+    isLoadingDetails: false,
+    detailsError: null,
+    detailsFreshness: null,
+    pendingUpdate: null,
+    updateError: null,
+    resultsScrollTop: 0,
+
+    // Bulk lookup: rows are { query, status, match, confidence, candidates, manual, isPicking, error }
+    bulk: {
+      rows: [],
+      runId: 0,
+      isRunning: false
+    }
   };
 
-  // Debounce timer
+  // Debounce timer (the delay follows the searchDebounceMs setting)
   let searchDebounceTimer = null;
   const DEBOUNCE_DELAY = 300;
+  let debounceDelay = DEBOUNCE_DELAY;
+
+  // Countdown shown while the background waits out a Moctale rate limit
+  let rateLimitTimer = null;
+
+  // Distance (px) from the bottom of the results at which the next page loads
+  const LOAD_MORE_THRESHOLD = 80;
+
+  // History items shown in the empty state and the suggestions dropdown
+  const MAX_RECENT_QUERIES = 8;
+  const MAX_RECENT_TITLES = 5;
+  const MAX_HISTORY_SUGGESTIONS = 5;
+
+  // Bulk lookup: titles resolved at once, and the most titles taken from one list
+  const BULK_CONCURRENCY = 3;
+  const BULK_MAX_TITLES = 50;
+
+  // Match confidence levels shown in the bulk table (medium matches LOOKUP_TITLE's cutoff)
+  const MATCH_CONFIDENCE = {
+    high: 0.85,
+    medium: 0.6
+  };
 
   // ============================================================================
   // DOM Elements
@@ -49,26 +190,69 @@
     stateNotLoggedIn: document.getElementById('state-not-logged-in'),
     stateNoTab: document.getElementById('state-no-tab'),
     stateLoggedIn: document.getElementById('state-logged-in'),
+    stateDetails: document.getElementById('state-details'),
+    stateBulk: document.getElementById('state-bulk'),
 
     // Buttons
     refreshBtn: document.getElementById('refresh-btn'),
+    settingsBtn: document.getElementById('settings-btn'),
+    bulkBtn: document.getElementById('bulk-btn'),
     loginBtn: document.getElementById('login-btn'),
     openMoctaleBtn: document.getElementById('open-moctale-btn'),
     openTabBtn: document.getElementById('open-tab-btn'),
     retryBtn: document.getElementById('retry-btn'),
     clearSearch: document.getElementById('clear-search'),
+    backBtn: document.getElementById('back-btn'),
+    detailsRetryBtn: document.getElementById('details-retry-btn'),
 
     // Search
     searchInput: document.getElementById('search-input'),
 
+    // Filters
+    filterTypeButtons: document.querySelectorAll('[data-filter-type]'),
+    filterYearFrom: document.getElementById('filter-year-from'),
+    filterYearTo: document.getElementById('filter-year-to'),
+    filterSort: document.getElementById('filter-sort'),
+    historySuggestions: document.getElementById('history-suggestions'),
+
     // Results
     resultsContainer: document.getElementById('results-container'),
     emptyState: document.getElementById('empty-state'),
+    historyPanel: document.getElementById('history-panel'),
     searchResults: document.getElementById('search-results'),
     searchingState: document.getElementById('searching-state'),
     noResults: document.getElementById('no-results'),
+    noResultsHint: document.getElementById('no-results-hint'),
     errorState: document.getElementById('error-state'),
     errorMessage: document.getElementById('error-message'),
+    staleBanner: document.getElementById('stale-banner'),
+    rateLimitBanner: document.getElementById('rate-limit-banner'),
+
+    // Details
+    detailsToolbarTitle: document.getElementById('details-toolbar-title'),
+    detailsContainer: document.getElementById('details-container'),
+    detailsLoading: document.getElementById('details-loading'),
+    detailsContent: document.getElementById('details-content'),
+    detailsError: document.getElementById('details-error'),
+    detailsErrorMessage: document.getElementById('details-error-message'),
+    detailsStaleBanner: document.getElementById('details-stale-banner'),
+
+    // Bulk lookup
+    bulkBackBtn: document.getElementById('bulk-back-btn'),
+    bulkProgress: document.getElementById('bulk-progress'),
+    bulkInput: document.getElementById('bulk-input'),
+    bulkRunBtn: document.getElementById('bulk-run-btn'),
+    bulkResults: document.getElementById('bulk-results'),
+
+    // Export
+    detailsExportBtn: document.getElementById('details-export-btn'),
+    exportPanel: document.getElementById('export-panel'),
+    exportCloseBtn: document.getElementById('export-close-btn'),
+    exportFormatButtons: document.querySelectorAll('[data-export-format]'),
+    exportFields: document.getElementById('export-fields'),
+    exportCopyBtn: document.getElementById('export-copy-btn'),
+    exportDownloadBtn: document.getElementById('export-download-btn'),
+    exportStatus: document.getElementById('export-status'),
 
     // Footer
     footer: document.getElementById('footer'),
@@ -102,7 +286,9 @@
    * Show a specific state and hide others
    */
   function showState(stateName) {
-    const states = ['loading', 'not-logged-in', 'no-tab', 'logged-in'];
+    const states = ['loading', 'not-logged-in', 'no-tab', 'logged-in', 'details', 'bulk'];
+    state.view = stateName;
+    closeExport();
 
     states.forEach(name => {
       const element = document.getElementById(`state-${name}`);
@@ -112,7 +298,7 @@
     });
 
     // Show/hide footer based on state
-    elements.footer.classList.toggle('hidden', stateName !== 'logged-in');
+    elements.footer.classList.toggle('hidden', !['logged-in', 'details', 'bulk'].includes(stateName));
   }
 
   /**
@@ -127,16 +313,20 @@
         element.classList.toggle('hidden', name !== stateName);
       }
     });
+
+    const showBanner = stateName === 'search-results' || stateName === 'no-results';
+    renderStaleBanner(elements.staleBanner, showBanner ? state.resultsFreshness : null);
   }
 
   /**
-   * Escape HTML to prevent XSS
+   * Escape HTML to prevent XSS. Quotes are escaped too, so the result is
+   * safe inside attribute values.
    */
   function escapeHtml(text) {
     if (!text) return '';
     const div = document.createElement('div');
     div.textContent = text;
-    return div.innerHTML;
+    return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
   }
 
   /**
@@ -149,6 +339,75 @@
     return num.toFixed(1);
   }
 
+  /**
+   * Format duration display (minutes or a preformatted string)
+   */
+  function formatDuration(duration) {
+    if (duration === null || duration === undefined || duration === '') return null;
+    const minutes = Number(duration);
+    if (isNaN(minutes)) return String(duration);
+    const hours = Math.floor(minutes / 60);
+    const rest = minutes % 60;
+    return hours > 0 ? `${hours}h ${rest}m` : `${rest}m`;
+  }
+
+  /**
+   * Format how long ago something was cached
+   */
+  function formatAge(ms) {
+    const minutes = Math.floor(ms / 60000);
+    if (minutes < 1) return 'just now';
+    if (minutes < 60) return `${minutes} min ago`;
+    const hours = Math.floor(minutes / 60);
+    return `${hours} h ago`;
+  }
+
+  /**
+   * Extract stale-cache info from a background response
+   */
+  function getFreshness(response) {
+    if (!response.stale) return null;
+    return { age: response.age || 0, offline: Boolean(response.offline) };
+  }
+
+  /**
+   * Show or hide a stale-cache banner
+   */
+  function renderStaleBanner(banner, freshness) {
+    banner.classList.toggle('hidden', !freshness);
+    if (!freshness) return;
+
+    banner.textContent = freshness.offline
+      ? `Offline · cached ${formatAge(freshness.age)}`
+      : `Cached ${formatAge(freshness.age)} · refreshing`;
+  }
+
+  /**
+   * Get a display label for a list item that may be a string or an object
+   * (genres, cast members and platforms come in either shape)
+   */
+  function getItemLabel(item) {
+    if (item === null || item === undefined) return '';
+    if (typeof item !== 'object') return String(item);
+    return item.name || item.title || item.label || '';
+  }
+
+  /**
+   * Normalize a possibly-scalar field into a list of labels
+   */
+  function toLabelList(value) {
+    const list = Array.isArray(value) ? value : (value ? [value] : []);
+    return list.map(getItemLabel).filter(Boolean);
+  }
+
+  /**
+   * Open a Moctale path in a new tab
+   */
+  function openMoctalePage(path, { active = true } = {}) {
+    if (!path) return;
+    chrome.tabs.create({ url: `${MOCTALE_URL}${path}`, active });
+  }
+
   // ============================================================================
   // UI Rendering
   // ============================================================================
@@ -188,7 +447,7 @@
       : '';
 
     return `
-      <div class="movie-card" data-movie-id="${escapeHtml(movie.id)}" data-url="${escapeHtml(movie.url || '')}">
+      <div class="movie-card" tabindex="-1" data-movie-id="${escapeHtml(movie.id)}" data-url="${escapeHtml(movie.url || '')}">
         <div class="movie-poster">
           ${posterHtml}
         </div>
@@ -202,6 +461,79 @@
     `;
   }
 
+  /**
+   * Check whether more result pages are available
+   */
+  function hasMorePages() {
+    const pagination = state.pagination;
+    if (!pagination) return false;
+    return Boolean(pagination.nextPage) || pagination.currentPage < pagination.totalPages;
+  }
+
+  /**
+   * Render the total-count header above the results
+   */
+  function renderResultsHeader(visibleCount) {
+    const total = state.pagination?.count || state.searchResults.length;
+    const label = total === 1 ? 'result' : 'results';
+    const loaded = state.searchResults.length;
+
+    let shown;
+    if (isFiltering()) {
+      shown = `${visibleCount} matching · ${loaded} of ${total} ${label} loaded`;
+    } else {
+      shown = loaded < total
+        ? `Showing ${loaded} of ${total} ${label}`
+        : `${total} ${label}`;
+    }
+
+    const yearChip = state.parsedYear
+      ? `<span class="query-chip">
+           Year ${state.parsedYear}
+           <button class="history-delete" data-action="remove-year" aria-label="Ignore year">×</button>
+         </span>`
+      : '';
+
+    const fallbackNote = state.fallbackQuery
+      ? `<div class="results-fallback">
+           Showing results for <strong>${escapeHtml(state.fallbackQuery)}</strong>.
+           <button class="link-btn" data-action="search-original">Search instead for “${escapeHtml(state.activeQuery)}”</button>
+         </div>`
+      : '';
+
+    const transliterationNote = state.transliterated.length > 0
+      ? `<div class="results-fallback">
+           Also searched as ${state.transliterated.map(spelling => `<strong>${escapeHtml(spelling)}</strong>`).join(', ')}
+         </div>`
+      : '';
+
+    const exportButton = visibleCount > 0
+      ? '<button class="link-btn" data-action="export-results">Export</button>'
+      : '';
+
+    return `
+      ${fallbackNote}${transliterationNote}
+      <div class="results-header">
+        <span>${shown}</span>
+        <span class="results-header-actions">${yearChip}${exportButton}</span>
+      </div>
+    `;
+  }
+
+  /**
+   * Render the loading indicator below the results
+   */
+  function renderResultsFooter() {
+    if (state.isLoadingMore) {
+      return `
+        <div class="results-footer">
+          <div class="loader small"></div>
+        </div>
+      `;
+    }
+    return '';
+  }
+
   /**
    * Render search results
    */
@@ -218,236 +550,1818 @@
     }
 
     if (!state.searchQuery) {
+      renderHistoryPanel();
       showResultState('empty-state');
       return;
     }
 
     if (state.searchResults.length === 0) {
+      elements.noResultsHint.classList.toggle('hidden', state.searchSubmitted || state.noFallback);
       showResultState('no-results');
       return;
     }
 
-    elements.searchResults.innerHTML = state.searchResults.map(renderMovieCard).join('');
+    const hadCardFocus = elements.searchResults.contains(document.activeElement);
+    const visibleResults = getVisibleResults();
+
+    const emptyHtml = visibleResults.length === 0 && !state.isLoadingMore && !hasMorePages()
+      ? '<div class="results-empty">No results match the current filters.</div>'
+      : '';
+
+    elements.searchResults.innerHTML =
+      renderResultsHeader(visibleResults.length) +
+      visibleResults.map(renderMovieCard).join('') +
+      emptyHtml +
+      renderResultsFooter();
     showResultState('search-results');
 
     // Add click handlers to movie cards
     elements.searchResults.querySelectorAll('.movie-card').forEach(card => {
-      card.addEventListener('click', () => handleMovieClick(card));
+      card.addEventListener('click', event => handleMovieClick(card, event));
     });
+
+    elements.searchResults.querySelector('[data-action="remove-year"]')
+      ?.addEventListener('click', handleRemoveYear);
+    elements.searchResults.querySelector('[data-action="search-original"]')
+      ?.addEventListener('click', handleSearchOriginal);
+    elements.searchResults.querySelector('[data-action="export-results"]')
+      ?.addEventListener('click', () => openExport('results'));
+
+    // Keep the keyboard selection across re-renders (e.g. when a page loads)
+    if (state.selectedIndex >= 0) {
+      selectResult(state.selectedIndex, hadCardFocus);
+    }
+
+    fillFilteredView();
   }
 
   // ============================================================================
-  // Event Handlers
+  // Filters
   // ============================================================================
 
   /**
-   * Handle session check
+   * Check whether any filter narrows the results
    */
-  async function handleCheckSession() {
-    showState('loading');
-
-    const response = await sendMessage(MESSAGE_TYPES.CHECK_SESSION);
-
-    if (!response.success) {
-      if (response.error === 'NO_MOCTALE_TAB') {
-        showState('no-tab');
-      } else {
-        state.error = response.message || 'Failed to connect';
-        showState('not-logged-in');
-      }
-      return false;
-    }
-
-    state.isLoggedIn = response.isLoggedIn;
-    state.username = response.username;
+  function isFiltering() {
+    const { type, yearFrom, yearTo } = state.filters;
+    return type !== 'all' || yearFrom !== null || yearTo !== null;
+  }
 
-    if (state.isLoggedIn) {
-      showState('logged-in');
-      updateUserStatus();
-      elements.searchInput.focus();
-      return true;
-    } else {
-      showState('not-logged-in');
-      return false;
-    }
+  /**
+   * Compare two nullable numbers, highest first, nulls last
+   */
+  function compareDescending(a, b) {
+    const x = a === null || a === undefined || isNaN(Number(a)) ? null : Number(a);
+    const y = b === null || b === undefined || isNaN(Number(b)) ? null : Number(b);
+    if (x === y) return 0;
+    if (x === null) return 1;
+    if (y === null) return -1;
+    return y - x;
   }
 
   /**
-   * Check for pending search from context menu
+   * Apply type/year filters and the chosen sort to the loaded results
    */
-  async function checkPendingSearch() {
-    const response = await sendMessage(MESSAGE_TYPES.GET_PENDING_SEARCH);
+  function getVisibleResults() {
+    const { type, yearFrom, yearTo, sort } = state.filters;
 
-    if (response.success && response.query) {
-      // Clear the pending search
-      await sendMessage(MESSAGE_TYPES.CLEAR_PENDING_SEARCH);
+    const filtered = state.searchResults.filter(movie => {
+      if (type !== 'all' && movie.type !== type) return false;
 
-      // Set the search input and trigger search
-      state.searchQuery = response.query;
-      elements.searchInput.value = response.query;
-      elements.clearSearch.classList.remove('hidden');
+      const year = Number(movie.year);
+      if (yearFrom !== null && !(year >= yearFrom)) return false;
+      if (yearTo !== null && !(year <= yearTo)) return false;
 
-      // Perform the search
-      performSearch(response.query);
+      return true;
+    });
+
+    if (sort === 'rating') {
+      return filtered.sort((a, b) => compareDescending(a.rating, b.rating));
     }
+    if (sort === 'year') {
+      return filtered.sort((a, b) => compareDescending(a.year, b.year));
+    }
+    return filtered;
   }
 
   /**
-   * Handle search input
+   * Load more pages while filters leave the results list short of the view
    */
-  function handleSearchInput(event) {
-    const query = event.target.value;
-    state.searchQuery = query;
-
-    // Show/hide clear button
-    elements.clearSearch.classList.toggle('hidden', query.length === 0);
-
-    // Clear previous debounce
-    if (searchDebounceTimer) {
-      clearTimeout(searchDebounceTimer);
-    }
+  function fillFilteredView() {
+    if (!isFiltering() || state.isLoadingMore || !hasMorePages()) return;
 
-    // If query is empty, show empty state
-    if (!query.trim()) {
-      state.searchResults = [];
-      state.error = null;
-      renderSearchResults();
-      return;
+    const container = elements.resultsContainer;
+    if (container.scrollHeight <= container.clientHeight + LOAD_MORE_THRESHOLD) {
+      loadNextPage();
     }
-
-    // Debounce search
-    searchDebounceTimer = setTimeout(() => {
-      performSearch(query.trim());
-    }, DEBOUNCE_DELAY);
   }
 
   /**
-   * Perform search
+   * Reflect the current filters in the filter bar
    */
-  async function performSearch(query) {
-    if (!query) return;
-
-    state.isSearching = true;
-    state.error = null;
-    renderSearchResults();
+  function renderFilterBar() {
+    const { type, yearFrom, yearTo, sort } = state.filters;
 
-    const response = await sendMessage(MESSAGE_TYPES.SEARCH_MOVIES, { query });
-
-    state.isSearching = false;
+    elements.filterTypeButtons.forEach(button => {
+      button.classList.toggle('selected', button.dataset.filterType === type);
+    });
+    elements.filterYearFrom.value = yearFrom ?? '';
+    elements.filterYearTo.value = yearTo ?? '';
+    elements.filterSort.value = sort;
+  }
 
-    if (response.success) {
-      state.searchResults = response.results || [];
-    } else {
-      state.error = response.message || 'Search failed';
-      state.searchResults = [];
-    }
+  /**
+   * Parse a year input, returning null for empty or invalid values
+   */
+  function parseYearInput(input) {
+    const year = parseInt(input.value, 10);
+    return year >= 1800 && year <= 2200 ? year : null;
+  }
 
-    renderSearchResults();
+  /**
+   * Load saved filters
+   */
+  async function loadFilters() {
+    const { resultFilters } = await chrome.storage.local.get('resultFilters');
+    state.filters = { ...DEFAULT_FILTERS, ...resultFilters };
+    renderFilterBar();
   }
 
   /**
-   * Handle clear search
+   * Update filters, save them and re-render the results
    */
-  function handleClearSearch() {
-    state.searchQuery = '';
-    state.searchResults = [];
-    state.error = null;
-    elements.searchInput.value = '';
-    elements.clearSearch.classList.add('hidden');
+  function updateFilters(changes) {
+    state.filters = { ...state.filters, ...changes };
+    state.selectedIndex = -1;
+    chrome.storage.local.set({ resultFilters: state.filters });
+
+    renderFilterBar();
     renderSearchResults();
-    elements.searchInput.focus();
   }
 
   /**
-   * Handle movie card click
+   * Get the rendered result cards
    */
-  function handleMovieClick(card) {
-    const url = card.dataset.url;
-    if (url) {
-      // Open movie page in new tab
-      chrome.tabs.create({ url: `https://www.moctale.in${url}` });
-    }
+  function getResultCards() {
+    return Array.from(elements.searchResults.querySelectorAll('.movie-card'));
   }
 
   /**
-   * Handle refresh button
+   * Select a result card by index, optionally moving focus to it
    */
-  async function handleRefresh() {
-    elements.refreshBtn.classList.add('spinning');
+  function selectResult(index, focus = true) {
+    const cards = getResultCards();
+    if (cards.length === 0) return;
 
-    // Clear cache and re-check session
-    state.searchResults = [];
-    state.searchQuery = '';
-    state.error = null;
-    elements.searchInput.value = '';
+    state.selectedIndex = Math.max(0, Math.min(index, cards.length - 1));
 
-    await handleCheckSession();
+    cards.forEach((card, i) => {
+      card.classList.toggle('selected', i === state.selectedIndex);
+    });
 
-    elements.refreshBtn.classList.remove('spinning');
+    const card = cards[state.selectedIndex];
+    if (focus) {
+      card.focus({ preventScroll: true });
+    }
+    card.scrollIntoView({ block: 'nearest' });
   }
 
   /**
-   * Handle login button
+   * Clear the keyboard selection and return focus to the search input
    */
-  async function handleLogin() {
-    await sendMessage(MESSAGE_TYPES.OPEN_LOGIN);
-    window.close();
+  function clearSelection() {
+    state.selectedIndex = -1;
+    getResultCards().forEach(card => card.classList.remove('selected'));
+    elements.searchInput.focus();
   }
 
   /**
-   * Handle open Moctale button
+   * Move the keyboard selection up or down
    */
-  async function handleOpenMoctale() {
-    await sendMessage(MESSAGE_TYPES.OPEN_MOCTALE);
-    // Re-check session after a short delay
-    setTimeout(() => handleCheckSession(), 500);
+  function moveSelection(delta) {
+    const cards = getResultCards();
+    if (cards.length === 0) return;
+
+    const next = state.selectedIndex + delta;
+
+    if (next < 0) {
+      clearSelection();
+      return;
+    }
+
+    if (next >= cards.length - 1 && hasMorePages()) {
+      loadNextPage();
+    }
+
+    selectResult(next);
   }
 
   /**
-   * Handle retry button
+   * Get the most recently opened titles from history, one per title
    */
-  function handleRetry() {
-    if (state.searchQuery) {
-      performSearch(state.searchQuery);
-    } else {
-      handleCheckSession();
-    }
+  function getRecentTitles() {
+    const seen = new Set();
+    return state.history
+      .map(entry => entry.title)
+      .filter(title => title && title.id && !seen.has(title.id) && seen.add(title.id))
+      .slice(0, MAX_RECENT_TITLES);
   }
 
   /**
-   * Handle keyboard shortcuts
+   * Render recent queries and recently opened titles in the empty state
    */
-  function handleKeydown(event) {
-    // Escape to clear search
-    if (event.key === 'Escape' && state.searchQuery) {
-      handleClearSearch();
+  function renderHistoryPanel() {
+    const queries = state.history.slice(0, MAX_RECENT_QUERIES);
+    const titles = getRecentTitles();
+    const hasHistory = queries.length > 0;
+
+    elements.emptyState.classList.toggle('has-history', hasHistory);
+    elements.historyPanel.classList.toggle('hidden', !hasHistory);
+    if (!hasHistory) {
+      elements.historyPanel.innerHTML = '';
+      return;
     }
 
-    // Enter to force search
-    if (event.key === 'Enter' && state.searchQuery) {
-      if (searchDebounceTimer) {
-        clearTimeout(searchDebounceTimer);
-      }
-      performSearch(state.searchQuery.trim());
-    }
+    const queryChips = queries.map(entry => `
+      <span class="history-chip">
+        <button class="history-chip-query" data-history-query="${escapeHtml(entry.query)}">${escapeHtml(entry.query)}</button>
+        <button class="history-delete" data-delete-query="${escapeHtml(entry.query)}" aria-label="Remove from history">×</button>
+      </span>
+    `).join('');
+
+    const titleButtons = titles.map(title => `
+      <button class="history-title" data-history-title="${escapeHtml(title.id)}">
+        ${title.poster
+          ? `<img src="${escapeHtml(title.poster)}" alt="" loading="lazy">`
+          : '<span class="history-title-placeholder"></span>'}
+        <span class="history-title-name">${escapeHtml(title.title)}</span>
+        ${title.year ? `<span class="history-title-year">${escapeHtml(String(title.year))}</span>` : ''}
+      </button>
+    `).join('');
+
+    elements.historyPanel.innerHTML = `
+      <div class="history-section">
+        <div class="history-section-header">
+          <h3>Recent Searches</h3>
+          <button class="link-btn" data-action="clear-history">Clear history</button>
+        </div>
+        <div class="chip-list">${queryChips}</div>
+      </div>
+      ${titles.length > 0 ? `
+        <div class="history-section">
+          <h3>Recently Opened</h3>
+          <div class="history-titles">${titleButtons}</div>
+        </div>
+      ` : ''}
+    `;
   }
 
-  // ============================================================================
-  // Event Listeners
-  // ============================================================================
+  /**
+   * Render prefix-matched history suggestions under the search input
+   */
+  function renderHistorySuggestions() {
+    const typed = state.searchQuery.trim().toLowerCase();
+    const matches = typed
+      ? state.history
+        .filter(entry => {
+          const query = entry.query.toLowerCase();
+          return query.startsWith(typed) && query !== typed;
+        })
+        .slice(0, MAX_HISTORY_SUGGESTIONS)
+      : [];
+
+    elements.historySuggestions.classList.toggle('hidden', matches.length === 0);
+    if (matches.length === 0) {
+      elements.historySuggestions.innerHTML = '';
+      return;
+    }
 
-  function setupEventListeners() {
-    // Buttons
-    elements.refreshBtn.addEventListener('click', handleRefresh);
-    elements.loginBtn.addEventListener('click', handleLogin);
-    elements.openMoctaleBtn.addEventListener('click', handleOpenMoctale);
-    elements.openTabBtn.addEventListener('click', handleOpenMoctale);
-    elements.retryBtn.addEventListener('click', handleRetry);
-    elements.clearSearch.addEventListener('click', handleClearSearch);
+    elements.historySuggestions.innerHTML = matches.map(entry => `
+      <div class="suggestion" role="option" data-history-query="${escapeHtml(entry.query)}">
+        <span class="suggestion-query">${escapeHtml(entry.query)}</span>
+        <button class="history-delete" data-delete-query="${escapeHtml(entry.query)}" aria-label="Remove from history">×</button>
+      </div>
+    `).join('') + `
+      <div class="suggestions-footer">
+        <button class="link-btn" data-action="clear-history">Clear history</button>
+      </div>
+    `;
+  }
 
-    // Search input
-    elements.searchInput.addEventListener('input', handleSearchInput);
-    elements.searchInput.addEventListener('keydown', handleKeydown);
+  function hideHistorySuggestions() {
+    elements.historySuggestions.classList.add('hidden');
+  }
+
+  /**
+   * Render a titled section of chips
+   */
+  function renderChipSection(title, labels) {
+    if (labels.length === 0) return '';
+    return `
+      <div class="details-section">
+        <h3>${escapeHtml(title)}</h3>
+        <div class="chip-list">
+          ${labels.map(label => `<span class="chip">${escapeHtml(label)}</span>`).join('')}
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Render a single review
+   */
+  function renderReview(review) {
+    const rating = formatRating(review.rating);
+    const author = getItemLabel(review.author) || review.author?.username || 'Anonymous';
+
+    return `
+      <div class="review">
+        <div class="review-header">
+          <span class="review-author">${escapeHtml(author)}</span>
+          ${rating ? `<span class="rating-value">★ ${rating}</span>` : ''}
+        </div>
+        ${review.text ? `<p class="review-text">${escapeHtml(review.text)}</p>` : ''}
+      </div>
+    `;
+  }
+
+  /**
+   * Render the user's rating and watch status controls
+   */
+  function renderUserControls(movie) {
+    const currentRating = Number(movie.userRating);
+    const disabled = state.pendingUpdate ? 'disabled' : '';
+
+    const ratingButtons = RATING_VALUES.map(value => `
+      <button class="rating-option${value === currentRating ? ' selected' : ''}"
+        data-rating="${value}" ${disabled} aria-label="Rate ${value}">${value}</button>
+    `).join('');
+
+    const statusButtons = Object.entries(WATCH_STATUS_LABELS).map(([status, label]) => `
+      <button class="status-option${movie.watchStatus === status ? ' selected' : ''}"
+        data-status="${status}" ${disabled}>${label}</button>
+    `).join('');
+
+    return `
+      <div class="details-section">
+        <h3>Your Rating</h3>
+        <div class="rating-picker">${ratingButtons}</div>
+      </div>
+
+      <div class="details-section">
+        <h3>Status</h3>
+        <div class="status-picker">${statusButtons}</div>
+      </div>
+
+      ${state.updateError ? `<p class="details-update-error">${escapeHtml(state.updateError)}</p>` : ''}
+    `;
+  }
+
+  /**
+   * Render full movie details
+   */
+  function renderMovieDetails(movie) {
+    const rating = formatRating(movie.rating);
+    const userRating = formatRating(movie.userRating);
+    const duration = formatDuration(movie.duration);
+    const director = getItemLabel(movie.director);
+    const cast = toLabelList(movie.cast);
+    const reviews = Array.isArray(movie.reviews) ? movie.reviews : [];
+
+    const posterHtml = movie.poster
+      ? `<img src="${escapeHtml(movie.poster)}" alt="${escapeHtml(movie.title)}">`
+      : `<div class="movie-poster-placeholder">M</div>`;
+
+    const meta = [movie.year, movie.type === 'series' ? 'Series' : 'Movie', duration]
+      .filter(Boolean)
+      .map(value => escapeHtml(String(value)))
+      .join(' · ');
+
+    const ratingHtml = rating
+      ? `<div class="movie-rating">
+           <span class="rating-star">★</span>
+           <span class="rating-value">${rating}</span>
+           ${movie.ratingCount ? `<span class="rating-count">(${movie.ratingCount})</span>` : ''}
+         </div>`
+      : '';
+
+    const trailerHtml = typeof movie.trailer === 'string' && /^https?:\/\//.test(movie.trailer)
+      ? `<button class="btn btn-secondary" data-action="trailer">Watch Trailer</button>`
+      : '';
+
+    return `
+      <div class="details-header">
+        <div class="movie-poster">
+          ${posterHtml}
+        </div>
+        <div class="movie-info">
+          <div class="details-title">${escapeHtml(movie.title)}</div>
+          ${meta ? `<div class="details-meta">${meta}</div>` : ''}
+          ${ratingHtml}
+          ${userRating ? `<div class="details-user-rating">Your rating: <strong>${userRating}</strong></div>` : ''}
+        </div>
+      </div>
+
+      ${movie.summary ? `<p class="details-summary">${escapeHtml(movie.summary)}</p>` : ''}
+
+      ${renderUserControls(movie)}
+
+      ${renderChipSection('Genres', toLabelList(movie.genres))}
+
+      ${director ? `
+        <div class="details-section">
+          <h3>Director</h3>
+          <p class="details-text">${escapeHtml(director)}</p>
+        </div>
+      ` : ''}
+
+      ${cast.length > 0 ? `
+        <div class="details-section">
+          <h3>Cast</h3>
+          <p class="details-text">${escapeHtml(cast.slice(0, 10).join(', '))}</p>
+        </div>
+      ` : ''}
+
+      ${renderChipSection('Streaming On', toLabelList(movie.streamingPlatforms))}
+
+      ${reviews.length > 0 ? `
+        <div class="details-section">
+          <h3>Reviews</h3>
+          ${reviews.slice(0, 5).map(renderReview).join('')}
+        </div>
+      ` : ''}
+
+      <div class="details-actions">
+        ${trailerHtml}
+        <button class="btn btn-secondary" data-action="open-moctale">Open on Moctale</button>
+      </div>
+    `;
+  }
+
+  /**
+   * Render the details view for the selected movie
+   */
+  function renderDetails() {
+    const movie = state.movieDetails || state.selectedMovie;
+    elements.detailsToolbarTitle.textContent = movie?.title || '';
+
+    elements.detailsLoading.classList.toggle('hidden', !state.isLoadingDetails);
+    renderStaleBanner(
+      elements.detailsStaleBanner,
+      state.isLoadingDetails || state.detailsError ? null : state.detailsFreshness
+    );
+    elements.detailsError.classList.toggle('hidden', state.isLoadingDetails || !state.detailsError);
+    elements.detailsContent.classList.toggle('hidden', state.isLoadingDetails || !!state.detailsError);
+
+    if (state.isLoadingDetails) return;
+
+    if (state.detailsError) {
+      elements.detailsErrorMessage.textContent = state.detailsError;
+      return;
+    }
+
+    elements.detailsContent.innerHTML = renderMovieDetails(movie);
+
+    elements.detailsContent.querySelector('[data-action="open-moctale"]')
+      ?.addEventListener('click', () => openMoctalePage(movie.url));
+
+    elements.detailsContent.querySelector('[data-action="trailer"]')
+      ?.addEventListener('click', () => chrome.tabs.create({ url: movie.trailer }));
+
+    elements.detailsContent.querySelectorAll('[data-rating]').forEach(button => {
+      button.addEventListener('click', () => handleRate(Number(button.dataset.rating)));
+    });
+
+    elements.detailsContent.querySelectorAll('[data-status]').forEach(button => {
+      button.addEventListener('click', () => handleSetWatchStatus(button.dataset.status));
+    });
+  }
+
+  // ============================================================================
+  // Settings
+  // ============================================================================
+
+  /**
+   * Use the search debounce from the options page (chrome.storage.sync 'settings')
+   */
+  function applySettings(settings) {
+    const delay = settings?.searchDebounceMs;
+    debounceDelay = typeof delay === 'number' && delay >= 0 ? delay : DEBOUNCE_DELAY;
+  }
+
+  async function loadSettings() {
+    const { settings } = await chrome.storage.sync.get('settings');
+    applySettings(settings);
+  }
+
+  // ============================================================================
+  // Rate Limiting
+  // ============================================================================
+
+  /**
+   * Count down to the background's retry, then hide the banner
+   */
+  function showRateLimitBanner(retryAt) {
+    clearInterval(rateLimitTimer);
+
+    const update = () => {
+      const seconds = Math.ceil((retryAt - Date.now()) / 1000);
+      if (seconds <= 0) {
+        clearInterval(rateLimitTimer);
+        elements.rateLimitBanner.classList.add('hidden');
+        return;
+      }
+
+      elements.rateLimitBanner.textContent = `Rate limited, retrying in ${seconds}s`;
+      elements.rateLimitBanner.classList.remove('hidden');
+    };
+
+    update();
+    rateLimitTimer = setInterval(update, 1000);
+  }
+
+  // ============================================================================
+  // Export
+  // ============================================================================
+
+  /**
+   * Text value of an export field (lists joined, links made absolute)
+   */
+  function getExportValue(movie, key) {
+    switch (key) {
+      case 'url':
+        return movie.url ? `${MOCTALE_URL}${movie.url}` : '';
+      case 'type':
+        return movie.type === 'series' ? 'Series' : 'Movie';
+      case 'rating':
+      case 'userRating':
+        return formatRating(movie[key]) || '';
+      case 'duration':
+        return formatDuration(movie.duration) || '';
+      case 'director':
+        return getItemLabel(movie.director) || '';
+      case 'genres':
+      case 'cast':
+      case 'streamingPlatforms':
+        return toLabelList(movie[key]).join(', ');
+      default:
+        return movie[key] === null || movie[key] === undefined ? '' : String(movie[key]);
+    }
+  }
+
+  /**
+   * Fields offered for the current export target, in EXPORT_FIELDS order
+   */
+  function getExportFields(target) {
+    return EXPORT_FIELDS.filter(field => target === 'details' || !field.detailsOnly);
+  }
+
+  function getChosenFields(target) {
+    return getExportFields(target).filter(field => state.exportSettings.fields.includes(field.key));
+  }
+
+  function toCsvField(value) {
+    return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+  }
+
+  function toMarkdownCell(value) {
+    return value.replace(/\|/g, '\\|').replace(/\s*\r?\n\s*/g, ' ');
+  }
+
+  /**
+   * Markdown card for one title: linked title line, then one bullet per chosen field
+   */
+  function toMarkdownCard(movie, fields) {
+    const keys = fields.map(field => field.key);
+    const title = keys.includes('url') && movie.url
+      ? `[${movie.title}](${getExportValue(movie, 'url')})`
+      : movie.title;
+
+    const lines = [`### ${title}${movie.year ? ` (${movie.year})` : ''}`, ''];
+    fields
+      .filter(field => !['title', 'url', 'year'].includes(field.key))
+      .forEach(field => {
+        const value = getExportValue(movie, field.key);
+        if (value) lines.push(`- **${field.label}:** ${value.replace(/\s*\r?\n\s*/g, ' ')}`);
+      });
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Build the export text for the open target in the chosen format
+   */
+  function buildExport(target) {
+    const movies = target === 'details'
+      ? [state.movieDetails || state.selectedMovie]
+      : getVisibleResults();
+    const { format } = state.exportSettings;
+
+    // JSON keeps the normalized objects as they are
+    if (format === 'json') {
+      return JSON.stringify(target === 'details' ? movies[0] : movies, null, 2);
+    }
+
+    const fields = getChosenFields(target);
+
+    if (format === 'csv') {
+      return [
+        fields.map(field => toCsvField(field.label)).join(','),
+        ...movies.map(movie => fields.map(field => toCsvField(getExportValue(movie, field.key))).join(','))
+      ].join('\r\n');
+    }
+
+    if (target === 'details') {
+      return toMarkdownCard(movies[0], fields);
+    }
+
+    return [
+      `| ${fields.map(field => field.label).join(' | ')} |`,
+      `| ${fields.map(() => '---').join(' | ')} |`,
+      ...movies.map(movie => `| ${fields.map(field => toMarkdownCell(getExportValue(movie, field.key))).join(' | ')} |`)
+    ].join('\n');
+  }
+
+  function getExportFileName(target) {
+    const { extension } = EXPORT_FORMATS[state.exportSettings.format];
+    const name = target === 'details'
+      ? (state.movieDetails || state.selectedMovie)?.slug || 'title'
+      : `results-${state.activeQuery.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-|-$/g, '') || 'search'}`;
+    return `moctale-${name}.${extension}`;
+  }
+
+  /**
+   * Render the export panel for the current target and settings
+   */
+  function renderExportPanel() {
+    const { format, fields } = state.exportSettings;
+
+    elements.exportFormatButtons.forEach(button => {
+      button.classList.toggle('selected', button.dataset.exportFormat === format);
+    });
+
+    elements.exportFields.classList.toggle('hidden', format === 'json');
+    elements.exportFields.innerHTML = getExportFields(state.exportTarget).map(field => `
+      <label class="export-field">
+        <input type="checkbox" data-export-field="${field.key}" ${fields.includes(field.key) ? 'checked' : ''}>
+        ${escapeHtml(field.label)}
+      </label>
+    `).join('');
+
+    const hasFields = format === 'json' || getChosenFields(state.exportTarget).length > 0;
+    elements.exportCopyBtn.disabled = !hasFields;
+    elements.exportDownloadBtn.disabled = !hasFields;
+  }
+
+  function showExportStatus(message, isError = false) {
+    elements.exportStatus.textContent = message;
+    elements.exportStatus.classList.toggle('error', isError);
+  }
+
+  /**
+   * Open the export panel for the results list or the details view
+   */
+  function openExport(target) {
+    state.exportTarget = target;
+    showExportStatus('');
+    renderExportPanel();
+    elements.exportPanel.classList.remove('hidden');
+    elements.exportPanel.querySelector('.segmented-option.selected')?.focus();
+  }
+
+  function closeExport() {
+    state.exportTarget = null;
+    elements.exportPanel.classList.add('hidden');
+  }
+
+  async function loadExportSettings() {
+    const { exportSettings } = await chrome.storage.local.get('exportSettings');
+    state.exportSettings = { ...DEFAULT_EXPORT_SETTINGS, ...exportSettings };
+  }
+
+  function updateExportSettings(changes) {
+    state.exportSettings = { ...state.exportSettings, ...changes };
+    chrome.storage.local.set({ exportSettings: state.exportSettings });
+    showExportStatus('');
+    renderExportPanel();
+  }
+
+  function handleExportFieldChange(event) {
+    const checkbox = event.target.closest('[data-export-field]');
+    if (!checkbox) return;
+
+    const chosen = new Set(state.exportSettings.fields);
+    if (checkbox.checked) {
+      chosen.add(checkbox.dataset.exportField);
+    } else {
+      chosen.delete(checkbox.dataset.exportField);
+    }
+
+    // Keep EXPORT_FIELDS order so columns don't shuffle as fields are toggled
+    updateExportSettings({
+      fields: EXPORT_FIELDS.map(field => field.key).filter(key => chosen.has(key))
+    });
+  }
+
+  async function handleExportCopy() {
+    try {
+      await navigator.clipboard.writeText(buildExport(state.exportTarget));
+      showExportStatus('Copied to clipboard');
+    } catch (error) {
+      showExportStatus('Could not copy to the clipboard', true);
+    }
+  }
+
+  function handleExportDownload() {
+    const { mimeType } = EXPORT_FORMATS[state.exportSettings.format];
+    const url = URL.createObjectURL(new Blob([buildExport(state.exportTarget)], { type: mimeType }));
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = getExportFileName(state.exportTarget);
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+    showExportStatus('Download started');
+  }
+
+  // ============================================================================
+  // Bulk Lookup
+  // ============================================================================
+
+  /**
+   * Split pasted or selected text into titles: one per line, without list
+   * markers ("1.", "2)", "-", "•"), duplicates removed
+   */
+  function splitTitleList(text) {
+    const seen = new Set();
+    const titles = [];
+
+    for (const line of text.split(/\r?\n/)) {
+      const title = line.replace(/^\s*(?:\d+[.)]|[-*•·–])\s*/, '').trim();
+      const key = title.toLowerCase();
+
+      if (title && !seen.has(key)) {
+        seen.add(key);
+        titles.push(title);
+      }
+    }
+
+    return titles.slice(0, BULK_MAX_TITLES);
+  }
+
+  /**
+   * Confidence level of a row's match: 'manual', 'high', 'medium', 'low' or 'none'
+   * ("No match" picked by hand is still 'none')
+   */
+  function getMatchLevel(row) {
+    if (!row.match) return 'none';
+    if (row.manual) return 'manual';
+    if (row.confidence >= MATCH_CONFIDENCE.high) return 'high';
+    if (row.confidence >= MATCH_CONFIDENCE.medium) return 'medium';
+    return 'low';
+  }
+
+  /**
+   * Render the control for picking a row's match by hand
+   */
+  function renderMatchPicker(row, index) {
+    const options = row.candidates.map(movie => `
+      <option value="${escapeHtml(movie.id)}" ${row.match?.id === movie.id ? 'selected' : ''}>
+        ${escapeHtml(movie.title)}${movie.year ? ` (${movie.year})` : ''}
+      </option>
+    `).join('');
+
+    return `
+      <select class="filter-select bulk-picker" data-bulk-pick="${index}" aria-label="Pick the right title">
+        ${row.match || row.manual ? '' : '<option value="" selected>Pick a title…</option>'}
+        ${options}
+        <option value="none" ${row.manual && !row.match ? 'selected' : ''}>No match</option>
+      </select>
+    `;
+  }
+
+  /**
+   * Render one row of the bulk results table
+   */
+  function renderBulkRow(row, index) {
+    if (row.status === 'pending') {
+      return `
+        <tr data-bulk-row="${index}">
+          <td class="bulk-title"><span class="bulk-query">${escapeHtml(row.query)}</span></td>
+          <td colspan="4" class="bulk-muted">Looking up…</td>
+        </tr>
+      `;
+    }
+
+    if (row.status === 'error') {
+      return `
+        <tr data-bulk-row="${index}">
+          <td class="bulk-title"><span class="bulk-query">${escapeHtml(row.query)}</span></td>
+          <td colspan="4" class="bulk-error">${escapeHtml(row.error)}</td>
+        </tr>
+      `;
+    }
+
+    const level = getMatchLevel(row);
+    const movie = row.match;
+    const levelLabels = {
+      manual: 'Picked by hand',
+      high: `Confident match (${Math.round(row.confidence * 100)}%)`,
+      medium: `Possible match (${Math.round(row.confidence * 100)}%)`,
+      low: `Weak match (${Math.round(row.confidence * 100)}%)`,
+      none: row.manual ? 'Marked as no match' : 'No match found'
+    };
+
+    // Anything short of a confident match can be fixed; confident ones on request
+    const canPick = row.candidates.length > 0 && (row.isPicking || level === 'medium' || level === 'low' || level === 'none');
+
+    const titleHtml = movie
+      ? `<button class="link-btn bulk-match" data-bulk-open="${index}">${escapeHtml(movie.title)}</button>`
+      : '<span class="bulk-muted">No match</span>';
+
+    const queryHtml = !movie || movie.title.toLowerCase() !== row.query.toLowerCase()
+      ? `<span class="bulk-query">${escapeHtml(row.query)}</span>`
+      : '';
+
+    const changeHtml = !canPick && row.candidates.length > 1
+      ? `<button class="link-btn" data-bulk-change="${index}">Change</button>`
+      : '';
+
+    return `
+      <tr data-bulk-row="${index}">
+        <td class="bulk-title">
+          ${titleHtml}
+          ${queryHtml}
+          ${canPick ? renderMatchPicker(row, index) : changeHtml}
+        </td>
+        <td class="bulk-rating">${formatRating(movie?.rating) ? `★ ${formatRating(movie.rating)}` : '–'}</td>
+        <td>${movie?.year || '–'}</td>
+        <td>${movie ? (movie.type === 'series' ? 'Series' : 'Movie') : '–'}</td>
+        <td><span class="confidence-dot ${level}" title="${levelLabels[level]}" aria-label="${levelLabels[level]}"></span></td>
+      </tr>
+    `;
+  }
+
+  /**
+   * Re-render a single row, leaving the rest of the table (and any open picker) alone
+   */
+  function updateBulkRow(index) {
+    const rowElement = elements.bulkResults.querySelector(`[data-bulk-row="${index}"]`);
+    if (rowElement) {
+      rowElement.outerHTML = renderBulkRow(state.bulk.rows[index], index);
+    }
+    renderBulkProgress();
+  }
+
+  /**
+   * Show "12 of 30 · 3 to review" in the toolbar
+   */
+  function renderBulkProgress() {
+    const { rows } = state.bulk;
+    if (rows.length === 0) {
+      elements.bulkProgress.textContent = '';
+      return;
+    }
+
+    const done = rows.filter(row => row.status !== 'pending').length;
+    const toReview = rows.filter(row => {
+      const level = getMatchLevel(row);
+      return row.status === 'done' && !row.manual && (level === 'medium' || level === 'low' || level === 'none');
+    }).length;
+
+    elements.bulkProgress.textContent = done < rows.length
+      ? `${done} of ${rows.length}`
+      : `${rows.length} titles${toReview > 0 ? ` · ${toReview} to review` : ''}`;
+  }
+
+  /**
+   * Render the bulk results table
+   */
+  function renderBulkResults() {
+    const { rows } = state.bulk;
+    elements.bulkRunBtn.disabled = state.bulk.isRunning;
+    renderBulkProgress();
+
+    if (rows.length === 0) {
+      elements.bulkResults.innerHTML = '';
+      return;
+    }
+
+    elements.bulkResults.innerHTML = `
+      <table class="bulk-table">
+        <thead>
+          <tr>
+            <th>Title</th>
+            <th>Rating</th>
+            <th>Year</th>
+            <th>Type</th>
+            <th aria-label="Match confidence"></th>
+          </tr>
+        </thead>
+        <tbody>
+          ${rows.map(renderBulkRow).join('')}
+        </tbody>
+      </table>
+    `;
+  }
+
+  /**
+   * Open the bulk lookup view, optionally with a list to look up right away
+   */
+  function openBulk(text = null) {
+    hideHistorySuggestions();
+    state.resultsScrollTop = elements.resultsContainer.scrollTop;
+    showState('bulk');
+
+    if (text) {
+      elements.bulkInput.value = text;
+      runBulkLookup();
+    } else {
+      renderBulkResults();
+      elements.bulkInput.focus();
+    }
+  }
+
+  /**
+   * Resolve every title in the bulk input, BULK_CONCURRENCY at a time.
+   * Starting a new run abandons the previous one.
+   */
+  async function runBulkLookup() {
+    const titles = splitTitleList(elements.bulkInput.value);
+    if (titles.length === 0) return;
+
+    const runId = ++state.bulk.runId;
+    const rows = titles.map(query => ({
+      query,
+      status: 'pending',
+      match: null,
+      confidence: 0,
+      candidates: [],
+      manual: false,
+      isPicking: false,
+      error: null
+    }));
+
+    state.bulk.rows = rows;
+    state.bulk.isRunning = true;
+    renderBulkResults();
+
+    let nextIndex = 0;
+    const worker = async () => {
+      while (nextIndex < rows.length) {
+        const index = nextIndex++;
+        const response = await sendMessage(MESSAGE_TYPES.RESOLVE_TITLE, { title: rows[index].query });
+
+        if (state.bulk.runId !== runId) return;
+
+        if (response.success) {
+          Object.assign(rows[index], {
+            status: 'done',
+            match: response.match,
+            confidence: response.confidence,
+            candidates: response.candidates || []
+          });
+        } else {
+          Object.assign(rows[index], {
+            status: 'error',
+            error: response.message || 'Lookup failed'
+          });
+        }
+
+        updateBulkRow(index);
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(BULK_CONCURRENCY, rows.length) }, worker));
+
+    if (state.bulk.runId === runId) {
+      state.bulk.isRunning = false;
+      elements.bulkRunBtn.disabled = false;
+    }
+  }
+
+  /**
+   * Handle clicks in the bulk results: open a match, or show the picker for a confident one
+   */
+  function handleBulkClick(event) {
+    const openButton = event.target.closest('[data-bulk-open]');
+    if (openButton) {
+      const movie = state.bulk.rows[Number(openButton.dataset.bulkOpen)]?.match;
+      if (movie) {
+        openMoctalePage(movie.url);
+      }
+      return;
+    }
+
+    const changeButton = event.target.closest('[data-bulk-change]');
+    if (changeButton) {
+      const index = Number(changeButton.dataset.bulkChange);
+      state.bulk.rows[index].isPicking = true;
+      updateBulkRow(index);
+      elements.bulkResults.querySelector(`[data-bulk-pick="${index}"]`)?.focus();
+    }
+  }
+
+  /**
+   * Handle a match picked by hand. Candidates come without a rating, so it's
+   * loaded afterwards (like the background does for the best match).
+   */
+  async function handleBulkPick(event) {
+    const picker = event.target.closest('[data-bulk-pick]');
+    if (!picker) return;
+
+    const index = Number(picker.dataset.bulkPick);
+    const row = state.bulk.rows[index];
+
+    row.match = picker.value === 'none'
+      ? null
+      : row.candidates.find(movie => movie.id === picker.value) || row.match;
+    row.manual = true;
+    row.isPicking = false;
+    updateBulkRow(index);
+
+    const movie = row.match;
+    if (!movie || (movie.rating !== null && movie.rating !== undefined)) return;
+
+    const response = await sendMessage(MESSAGE_TYPES.GET_MOVIE_DETAILS, { movieId: movie.id });
+
+    // The row was picked again or the list looked up again meanwhile
+    if (state.bulk.rows[index] !== row || row.match !== movie) return;
+
+    if (response.success && response.data) {
+      row.match = { ...movie, rating: response.data.rating, ratingCount: response.data.ratingCount };
+      updateBulkRow(index);
+    }
+  }
+
+  /**
+   * Handle back button in the bulk view (a running lookup keeps going)
+   */
+  function handleBulkBack() {
+    showState('logged-in');
+    elements.resultsContainer.scrollTop = state.resultsScrollTop;
+    elements.searchInput.focus();
+  }
+
+  // ============================================================================
+  // Event Handlers
+  // ============================================================================
+
+  /**
+   * Handle session check
+   */
+  async function handleCheckSession() {
+    showState('loading');
+
+    const response = await sendMessage(MESSAGE_TYPES.CHECK_SESSION);
+
+    if (!response.success) {
+      if (response.error === 'NO_MOCTALE_TAB') {
+        showState('no-tab');
+      } else {
+        state.error = response.message || 'Failed to connect';
+        showState('not-logged-in');
+      }
+      return false;
+    }
+
+    state.isLoggedIn = response.isLoggedIn;
+    state.username = response.username;
+
+    if (state.isLoggedIn) {
+      showState('logged-in');
+      updateUserStatus();
+      elements.searchInput.focus();
+      return true;
+    } else {
+      showState('not-logged-in');
+      return false;
+    }
+  }
+
+  /**
+   * Load search history from the background
+   */
+  async function loadHistory() {
+    const response = await sendMessage(MESSAGE_TYPES.GET_SEARCH_HISTORY);
+    if (response.success) {
+      state.history = response.history || [];
+    }
+  }
+
+  /**
+   * Record a query, and the title opened from it, in search history
+   */
+  async function recordHistory(query, title = null) {
+    if (!query || !query.trim()) return;
+
+    const response = await sendMessage(MESSAGE_TYPES.ADD_SEARCH_HISTORY, { query, title });
+    if (response.success) {
+      state.history = response.history || [];
+    }
+  }
+
+  /**
+   * Remove one query from search history
+   */
+  async function removeHistoryItem(query) {
+    const response = await sendMessage(MESSAGE_TYPES.REMOVE_SEARCH_HISTORY, { query });
+    if (response.success) {
+      state.history = response.history || [];
+      renderHistoryPanel();
+      renderHistorySuggestions();
+    }
+  }
+
+  /**
+   * Clear all search history
+   */
+  async function clearHistory() {
+    const response = await sendMessage(MESSAGE_TYPES.CLEAR_SEARCH_HISTORY);
+    if (response.success) {
+      state.history = [];
+      renderHistoryPanel();
+      hideHistorySuggestions();
+    }
+  }
+
+  /**
+   * Run a search for a query picked from history
+   */
+  function searchFromHistory(query) {
+    if (searchDebounceTimer) {
+      clearTimeout(searchDebounceTimer);
+    }
+
+    state.searchQuery = query;
+    state.cleanQuery = false;
+    state.ignoreYear = false;
+    state.noFallback = false;
+    elements.searchInput.value = query;
+    elements.clearSearch.classList.remove('hidden');
+    hideHistorySuggestions();
+
+    performSearch(query, { submitted: true });
+    recordHistory(query);
+  }
+
+  /**
+   * Handle clicks in the history panel and suggestions dropdown
+   */
+  function handleHistoryClick(event) {
+    const deleteButton = event.target.closest('[data-delete-query]');
+    if (deleteButton) {
+      event.stopPropagation();
+      removeHistoryItem(deleteButton.dataset.deleteQuery);
+      return;
+    }
+
+    if (event.target.closest('[data-action="clear-history"]')) {
+      clearHistory();
+      return;
+    }
+
+    const queryItem = event.target.closest('[data-history-query]');
+    if (queryItem) {
+      searchFromHistory(queryItem.dataset.historyQuery);
+      return;
+    }
+
+    const titleItem = event.target.closest('[data-history-title]');
+    if (titleItem) {
+      const title = getRecentTitles().find(item => item.id === titleItem.dataset.historyTitle);
+      if (title) {
+        openDetails(title);
+      }
+    }
+  }
+
+  /**
+   * Check for pending search from context menu
+   */
+  async function checkPendingSearch() {
+    const response = await sendMessage(MESSAGE_TYPES.GET_PENDING_SEARCH);
+
+    if (response.success && response.query) {
+      // Clear the pending search
+      await sendMessage(MESSAGE_TYPES.CLEAR_PENDING_SEARCH);
+
+      // A multi-line selection goes to bulk lookup
+      if (response.bulk) {
+        openBulk(response.query);
+        return;
+      }
+
+      // Set the search input and trigger search
+      state.searchQuery = response.query;
+      state.cleanQuery = true;
+      state.ignoreYear = false;
+      state.noFallback = false;
+      elements.searchInput.value = response.query;
+      elements.clearSearch.classList.remove('hidden');
+
+      // Perform the search
+      performSearch(response.query, { submitted: true });
+      recordHistory(response.query);
+    }
+  }
+
+  /**
+   * Handle search input
+   */
+  function handleSearchInput(event) {
+    const query = event.target.value;
+    state.searchQuery = query;
+    state.cleanQuery = false;
+    state.ignoreYear = false;
+    state.noFallback = false;
+
+    // Show/hide clear button
+    elements.clearSearch.classList.toggle('hidden', query.length === 0);
+    renderHistorySuggestions();
+
+    // Clear previous debounce
+    if (searchDebounceTimer) {
+      clearTimeout(searchDebounceTimer);
+    }
+
+    // If query is empty, show empty state
+    if (!query.trim()) {
+      cancelActiveSearch();
+      state.activeQuery = '';
+      state.pagination = null;
+      state.isLoadingMore = false;
+      state.searchResults = [];
+      state.error = null;
+      renderSearchResults();
+      return;
+    }
+
+    // Debounce search
+    searchDebounceTimer = setTimeout(() => {
+      performSearch(query.trim());
+    }, debounceDelay);
+  }
+
+  /**
+   * Stop the running search or page request: the background aborts its
+   * requests and the popup ignores whatever it still sends back
+   */
+  function cancelActiveSearch() {
+    if (!state.searchRequestId) return;
+
+    sendMessage(MESSAGE_TYPES.CANCEL_SEARCH, { requestId: state.searchRequestId });
+    state.searchRequestId = null;
+  }
+
+  /**
+   * Start tracking a new search request, cancelling the previous one
+   */
+  function beginSearchRequest() {
+    cancelActiveSearch();
+    state.searchRequestId = crypto.randomUUID();
+    return state.searchRequestId;
+  }
+
+  /**
+   * Perform search. Query variants are only tried for a submitted search,
+   * not while the user is still typing.
+   */
+  async function performSearch(query, { submitted = false } = {}) {
+    if (!query) return;
+
+    const requestId = beginSearchRequest();
+    state.selectedIndex = -1;
+    state.activeQuery = query;
+    state.searchSubmitted = submitted;
+    state.pagination = null;
+    state.resultsFreshness = null;
+    state.parsedYear = null;
+    state.fallbackQuery = null;
+    state.transliterated = [];
+    state.isLoadingMore = false;
+    state.isSearching = true;
+    state.error = null;
+    renderSearchResults();
+
+    const response = await sendMessage(MESSAGE_TYPES.SEARCH_MOVIES, {
+      query,
+      page: 1,
+      cleanQuery: state.cleanQuery,
+      ignoreYear: state.ignoreYear,
+      noFallback: state.noFallback || !submitted,
+      requestId
+    });
+
+    // A newer search (or clearing the input) replaced this one
+    if (state.searchRequestId !== requestId) return;
+
+    state.searchRequestId = null;
+    state.isSearching = false;
+
+    if (response.success) {
+      state.searchResults = response.results || [];
+      state.pagination = response.pagination || null;
+      state.parsedYear = response.parsed?.year || null;
+      state.fallbackQuery = response.fallback?.query || null;
+      state.transliterated = response.transliterated || [];
+      state.resultsFreshness = getFreshness(response);
+    } else {
+      state.error = response.message || 'Search failed';
+      state.searchResults = [];
+    }
+
+    renderSearchResults();
+    elements.resultsContainer.scrollTop = 0;
+  }
+
+  /**
+   * Load the next page of results for the active query
+   */
+  async function loadNextPage() {
+    if (state.isSearching || state.isLoadingMore || !hasMorePages()) return;
+
+    const query = state.activeQuery;
+    const page = state.pagination.currentPage + 1;
+    const requestId = beginSearchRequest();
+
+    state.isLoadingMore = true;
+    renderSearchResults();
+
+    // Later pages of a "did you mean" search come from the variant that found results
+    const response = await sendMessage(MESSAGE_TYPES.SEARCH_MOVIES, {
+      query: state.fallbackQuery || query,
+      page,
+      cleanQuery: state.cleanQuery,
+      ignoreYear: state.ignoreYear,
+      requestId
+    });
+
+    // A new search started while this page was loading
+    if (state.searchRequestId !== requestId) return;
+
+    state.searchRequestId = null;
+    state.isLoadingMore = false;
+
+    if (response.success) {
+      const seen = new Set(state.searchResults.map(movie => movie.id));
+      const newResults = (response.results || []).filter(movie => !seen.has(movie.id));
+      state.searchResults = state.searchResults.concat(newResults);
+      state.pagination = response.pagination || null;
+    } else {
+      // Stop paging rather than retrying on every scroll event
+      state.pagination = null;
+    }
+
+    renderSearchResults();
+  }
+
+  /**
+   * Handle removing the parsed year chip: search again treating the year as part of the title
+   */
+  function handleRemoveYear() {
+    state.ignoreYear = true;
+    performSearch(state.activeQuery, { submitted: state.searchSubmitted });
+  }
+
+  /**
+   * Handle "Search instead for": search the original query without trying variants
+   */
+  function handleSearchOriginal() {
+    state.noFallback = true;
+    performSearch(state.activeQuery, { submitted: state.searchSubmitted });
+  }
+
+  /**
+   * Handle results scroll (infinite scroll)
+   */
+  function handleResultsScroll() {
+    if (elements.searchResults.classList.contains('hidden')) return;
+
+    const container = elements.resultsContainer;
+    const distanceFromBottom = container.scrollHeight - container.scrollTop - container.clientHeight;
+
+    if (distanceFromBottom <= LOAD_MORE_THRESHOLD) {
+      loadNextPage();
+    }
+  }
+
+  /**
+   * Handle clear search
+   */
+  function handleClearSearch() {
+    state.searchQuery = '';
+    state.activeQuery = '';
+    state.pagination = null;
+    state.isLoadingMore = false;
+    state.searchResults = [];
+    state.error = null;
+    elements.searchInput.value = '';
+    elements.clearSearch.classList.add('hidden');
+    hideHistorySuggestions();
+    renderSearchResults();
+    elements.searchInput.focus();
+  }
+
+  /**
+   * Handle movie card click (Ctrl/Cmd+click opens the Moctale page in a background tab)
+   */
+  function handleMovieClick(card, event) {
+    const movie = state.searchResults.find(result => result.id === card.dataset.movieId);
+    state.selectedIndex = getResultCards().indexOf(card);
+
+    if (event && (event.ctrlKey || event.metaKey)) {
+      if (movie) recordHistory(state.activeQuery, movie);
+      openMoctalePage(card.dataset.url, { active: false });
+      return;
+    }
+
+    if (movie) {
+      recordHistory(state.activeQuery, movie);
+      openDetails(movie);
+    } else {
+      openMoctalePage(card.dataset.url);
+    }
+  }
+
+  /**
+   * Open the details view for a movie, remembering the results scroll position
+   */
+  function openDetails(movie) {
+    hideHistorySuggestions();
+    state.resultsScrollTop = elements.resultsContainer.scrollTop;
+    state.selectedMovie = movie;
+    state.movieDetails = null;
+
+    showState('details');
+    elements.detailsContainer.scrollTop = 0;
+    loadMovieDetails(movie);
+  }
+
+  /**
+   * Fetch full details for the selected movie
+   */
+  async function loadMovieDetails(movie) {
+    state.isLoadingDetails = true;
+    state.detailsError = null;
+    state.detailsFreshness = null;
+    state.pendingUpdate = null;
+    state.updateError = null;
+    renderDetails();
+
+    const response = await sendMessage(MESSAGE_TYPES.GET_MOVIE_DETAILS, { movieId: movie.id });
+
+    // Ignore responses for a movie the user has already navigated away from
+    if (state.selectedMovie !== movie) return;
+
+    state.isLoadingDetails = false;
+
+    if (response.success && response.data) {
+      state.movieDetails = response.data;
+      state.detailsFreshness = getFreshness(response);
+    } else {
+      state.detailsError = response.message || 'Failed to load details';
+    }
+
+    renderDetails();
+  }
+
+  /**
+   * Optimistically update a user field of the shown title, rolling back on failure
+   */
+  async function applyUserUpdate(field, value, type, payload) {
+    const movie = state.movieDetails;
+    if (!movie || state.pendingUpdate) return;
+
+    const previous = movie[field];
+    movie[field] = value;
+    state.pendingUpdate = field;
+    state.updateError = null;
+    renderDetails();
+
+    const response = await sendMessage(type, { movieId: movie.id, ...payload });
+
+    // The user has moved on to another title
+    if (state.movieDetails !== movie) return;
+
+    state.pendingUpdate = null;
+
+    if (!response.success) {
+      movie[field] = previous;
+      state.updateError = response.message || 'Update failed';
+    }
+
+    renderDetails();
+  }
+
+  /**
+   * Handle a rating choice in the details view
+   */
+  function handleRate(rating) {
+    if (Number(state.movieDetails?.userRating) === rating) return;
+    applyUserUpdate('userRating', rating, MESSAGE_TYPES.RATE_TITLE, { rating });
+  }
+
+  /**
+   * Handle a watch status choice in the details view
+   */
+  function handleSetWatchStatus(status) {
+    if (state.movieDetails?.watchStatus === status) return;
+    applyUserUpdate('watchStatus', status, MESSAGE_TYPES.SET_WATCH_STATUS, { status });
+  }
+
+  /**
+   * Handle back button in the details view
+   */
+  function handleBack() {
+    state.selectedMovie = null;
+    state.movieDetails = null;
+    state.isLoadingDetails = false;
+    state.detailsError = null;
+    state.pendingUpdate = null;
+    state.updateError = null;
+
+    showState('logged-in');
+    elements.resultsContainer.scrollTop = state.resultsScrollTop;
+
+    if (state.selectedIndex >= 0 && getResultCards().length > 0) {
+      selectResult(state.selectedIndex);
+    } else {
+      elements.searchInput.focus();
+    }
+  }
+
+  /**
+   * Handle retry button in the details view
+   */
+  function handleDetailsRetry() {
+    if (state.selectedMovie) {
+      loadMovieDetails(state.selectedMovie);
+    }
+  }
+
+  /**
+   * Clear the search box and results
+   */
+  function resetSearch() {
+    cancelActiveSearch();
+    state.searchResults = [];
+    state.searchQuery = '';
+    state.activeQuery = '';
+    state.pagination = null;
+    state.isLoadingMore = false;
+    state.error = null;
+    elements.searchInput.value = '';
+  }
+
+  /**
+   * Handle refresh button
+   */
+  async function handleRefresh() {
+    elements.refreshBtn.classList.add('spinning');
+
+    // Clear cache and re-check session
+    resetSearch();
+    await handleCheckSession();
+
+    elements.refreshBtn.classList.remove('spinning');
+  }
+
+  /**
+   * Start over when the user logs in, out or switches accounts on moctale.in
+   * (the background has already dropped the previous account's cached data)
+   */
+  async function handleSessionChanged() {
+    resetSearch();
+    await handleCheckSession();
+    renderSearchResults();
+  }
+
+  /**
+   * Handle login button
+   */
+  async function handleLogin() {
+    await sendMessage(MESSAGE_TYPES.OPEN_LOGIN);
+    window.close();
+  }
+
+  /**
+   * Handle open Moctale button
+   */
+  async function handleOpenMoctale() {
+    await sendMessage(MESSAGE_TYPES.OPEN_MOCTALE);
+    // Re-check session after a short delay
+    setTimeout(() => handleCheckSession(), 500);
+  }
+
+  /**
+   * Handle retry button
+   */
+  function handleRetry() {
+    if (state.searchQuery) {
+      performSearch(state.searchQuery, { submitted: state.searchSubmitted });
+    } else {
+      handleCheckSession();
+    }
+  }
+
+  /**
+   * Handle keyboard shortcuts
+   */
+  function handleKeydown(event) {
+    // Escape closes suggestions first, then clears search
+    if (event.key === 'Escape' && !elements.historySuggestions.classList.contains('hidden')) {
+      event.stopPropagation();
+      hideHistorySuggestions();
+      return;
+    }
+
+    if (event.key === 'Escape' && state.searchQuery) {
+      handleClearSearch();
+    }
+
+    // Enter to force search
+    if (event.key === 'Enter' && state.searchQuery) {
+      if (searchDebounceTimer) {
+        clearTimeout(searchDebounceTimer);
+      }
+      hideHistorySuggestions();
+      performSearch(state.searchQuery.trim(), { submitted: true });
+      recordHistory(state.searchQuery.trim());
+    }
+  }
+
+  /**
+   * Handle document-level keyboard shortcuts
+   */
+  function handleDocumentKeydown(event) {
+    // Escape closes the export panel before anything else
+    if (event.key === 'Escape' && state.exportTarget) {
+      event.preventDefault();
+      closeExport();
+      return;
+    }
+
+    // Escape to leave the details view
+    if (event.key === 'Escape' && state.view === 'details') {
+      event.preventDefault();
+      handleBack();
+      return;
+    }
+
+    // Escape leaves the bulk view; Ctrl/Cmd+Enter in the list starts the lookup
+    if (state.view === 'bulk') {
+      if (event.key === 'Escape' && !event.target.matches('select')) {
+        event.preventDefault();
+        handleBulkBack();
+      } else if (event.key === 'Enter' && (event.ctrlKey || event.metaKey) && event.target === elements.bulkInput) {
+        event.preventDefault();
+        runBulkLookup();
+      }
+      return;
+    }
+
+    if (state.view !== 'logged-in' || elements.searchResults.classList.contains('hidden')) {
+      return;
+    }
+
+    // Letter and number shortcuts only apply outside text fields
+    const isTyping = event.target.matches('input, select, textarea');
+    const hasModifier = event.altKey || event.ctrlKey || event.metaKey;
+
+    // Arrow keys also work from the search input, but not in the filter fields
+    const canUseArrows = !isTyping || event.target === elements.searchInput;
+
+    if ((canUseArrows && event.key === 'ArrowDown') || (!isTyping && !hasModifier && event.key === 'j')) {
+      event.preventDefault();
+      moveSelection(1);
+      return;
+    }
+
+    if ((canUseArrows && event.key === 'ArrowUp') || (!isTyping && !hasModifier && event.key === 'k')) {
+      event.preventDefault();
+      moveSelection(-1);
+      return;
+    }
+
+    if (isTyping) return;
+
+    // 1-9 jump straight to a result
+    if (!hasModifier && /^[1-9]$/.test(event.key)) {
+      event.preventDefault();
+      selectResult(Number(event.key) - 1);
+      return;
+    }
+
+    const card = getResultCards()[state.selectedIndex];
+    if (!card) return;
+
+    if (event.key === 'Enter') {
+      event.preventDefault();
+
+      if (event.ctrlKey || event.metaKey) {
+        // Ctrl/Cmd+Enter: Moctale page in a background tab
+        openMoctalePage(card.dataset.url, { active: false });
+      } else if (event.shiftKey) {
+        // Shift+Enter: Moctale page in a new tab
+        openMoctalePage(card.dataset.url);
+      } else {
+        handleMovieClick(card);
+      }
+      return;
+    }
+
+    if (event.key === 'Escape') {
+      event.preventDefault();
+      clearSelection();
+    }
+  }
+
+  // ============================================================================
+  // Event Listeners
+  // ============================================================================
+
+  function setupEventListeners() {
+    // Buttons
+    elements.refreshBtn.addEventListener('click', handleRefresh);
+    elements.settingsBtn.addEventListener('click', () => chrome.runtime.openOptionsPage());
+    elements.loginBtn.addEventListener('click', handleLogin);
+    elements.openMoctaleBtn.addEventListener('click', handleOpenMoctale);
+    elements.openTabBtn.addEventListener('click', handleOpenMoctale);
+    elements.retryBtn.addEventListener('click', handleRetry);
+    elements.clearSearch.addEventListener('click', handleClearSearch);
+    elements.backBtn.addEventListener('click', handleBack);
+    elements.detailsRetryBtn.addEventListener('click', handleDetailsRetry);
+    elements.bulkBtn.addEventListener('click', () => {
+      if (state.isLoggedIn) openBulk();
+    });
+    elements.bulkBackBtn.addEventListener('click', handleBulkBack);
+    elements.bulkRunBtn.addEventListener('click', runBulkLookup);
+
+    // Export
+    elements.detailsExportBtn.addEventListener('click', () => openExport('details'));
+    elements.exportCloseBtn.addEventListener('click', closeExport);
+    elements.exportFormatButtons.forEach(button => {
+      button.addEventListener('click', () => updateExportSettings({ format: button.dataset.exportFormat }));
+    });
+    elements.exportFields.addEventListener('change', handleExportFieldChange);
+    elements.exportCopyBtn.addEventListener('click', handleExportCopy);
+    elements.exportDownloadBtn.addEventListener('click', handleExportDownload);
+
+    // Bulk results
+    elements.bulkResults.addEventListener('click', handleBulkClick);
+    elements.bulkResults.addEventListener('change', handleBulkPick);
+
+    // Search input
+    elements.searchInput.addEventListener('input', handleSearchInput);
+    elements.searchInput.addEventListener('keydown', handleKeydown);
+    elements.searchInput.addEventListener('blur', hideHistorySuggestions);
+
+    // Filters
+    elements.filterTypeButtons.forEach(button => {
+      button.addEventListener('click', () => updateFilters({ type: button.dataset.filterType }));
+    });
+    elements.filterYearFrom.addEventListener('change', () => {
+      updateFilters({ yearFrom: parseYearInput(elements.filterYearFrom) });
+    });
+    elements.filterYearTo.addEventListener('change', () => {
+      updateFilters({ yearTo: parseYearInput(elements.filterYearTo) });
+    });
+    elements.filterSort.addEventListener('change', () => {
+      updateFilters({ sort: elements.filterSort.value });
+    });
+
+    // History (mousedown keeps focus in the input while picking a suggestion)
+    elements.historySuggestions.addEventListener('mousedown', event => event.preventDefault());
+    elements.historySuggestions.addEventListener('click', handleHistoryClick);
+    elements.historyPanel.addEventListener('click', handleHistoryClick);
+
+    // Results
+    elements.resultsContainer.addEventListener('scroll', handleResultsScroll);
+
+    // Document
+    document.addEventListener('keydown', handleDocumentKeydown);
+
+    // Settings changed on the options page
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'sync' && changes.settings) {
+        applySettings(changes.settings.newValue);
+      }
+    });
+
+    // Events pushed by the background
+    chrome.runtime.onMessage.addListener(message => {
+      switch (message?.type) {
+        case MESSAGE_TYPES.RATE_LIMITED:
+          // Requests are waiting out a rate limit
+          showRateLimitBanner(message.retryAt);
+          break;
+        case MESSAGE_TYPES.SESSION_CHANGED:
+          handleSessionChanged();
+          break;
+      }
+    });
   }
 
   // ============================================================================
@@ -456,9 +2370,14 @@
 
   async function init() {
     setupEventListeners();
+    await loadFilters();
+    await loadExportSettings();
+    await loadSettings();
 
     // Check session first
     const isLoggedIn = await handleCheckSession();
+    await loadHistory();
+    renderSearchResults();
 
     // If logged in, check for pending search from context menu
     if (isLoggedIn) {
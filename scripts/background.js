@@ -2,7 +2,8 @@
  * Moctale Extension - Background Service Worker
  *
  * Responsibilities:
- * - Message routing between popup and content scripts
+ * - Direct API calls to moctale.in (using the browser's session cookies)
+ * - Message routing between popup and content scripts (fallback route)
  * - Session state management
  * - Response caching
  * - Tab management for injecting content scripts
@@ -14,6 +15,99 @@
 
 const MOCTALE_ORIGINS = ['https://www.moctale.in', 'https://moctale.in'];
 
+// Session cookie set by moctale.in (mirrors CONFIG.authCookie in contentScript.js)
+const AUTH_COOKIE = 'auth_token';
+const MOCTALE_HOST_PATTERN = /(^|\.)moctale\.in$/;
+
+// API endpoints, mirrored from CONFIG.api in contentScript.js
+const API = {
+  baseUrl: 'https://www.moctale.in',
+  search: '/api/search',           // GET /api/search?q={query}&page={page}
+  content: '/api/content',         // GET /api/content/{slug}
+  me: '/api/me',                   // GET /api/me (for auth check)
+  timeout: 10000
+};
+
+// Watch status values accepted by the status endpoint
+const WATCH_STATUSES = ['watched', 'want_to_watch', 'dropped'];
+
+// Ratings accepted by the rate endpoint: whole numbers (mirrors RATING_VALUES in popup.js)
+const RATING_RANGE = { min: 1, max: 10 };
+
+// Third-party movie sites that can show inline Moctale rating badges (opt-in)
+const BADGE_SITES = {
+  imdb: {
+    origins: ['https://www.imdb.com/*', 'https://m.imdb.com/*'],
+    matches: ['https://www.imdb.com/title/*', 'https://m.imdb.com/title/*']
+  },
+  wikipedia: {
+    origins: ['https://*.wikipedia.org/*'],
+    matches: ['https://*.wikipedia.org/wiki/*']
+  },
+  letterboxd: {
+    origins: ['https://letterboxd.com/*'],
+    matches: ['https://letterboxd.com/film/*']
+  }
+};
+
+// Moctale tab selection for the content script route
+const TAB_LIMITS = {
+  failureCooldownMs: 60 * 1000, // A tab that failed is tried last for this long (or until it reloads)
+  reloadTimeoutMs: 15 * 1000,   // Wait for a reloaded discarded tab to finish loading
+  readyTimeoutMs: 3 * 1000      // Wait for an injected content script to report ready
+};
+
+// Content scripts from another version (before an extension update) are replaced
+const EXTENSION_VERSION = chrome.runtime.getManifest().version;
+
+// Toolbar badge colours (match the popup theme)
+const ACTION_BADGE_COLORS = {
+  rating: '#6366f1',
+  warning: '#f59e0b',
+  error: '#ef4444'
+};
+
+// Minimum time between the badge's checks of whether Moctale is back
+const REACHABILITY_RECHECK_INTERVAL = 30 * 1000;
+
+// Number of distinct queries kept in search history
+const SEARCH_HISTORY_LIMIT = 20;
+
+// "Did you mean" retries for zero-result searches
+const FALLBACK_LIMITS = {
+  maxVariants: 3,      // Variants tried per query
+  maxPerWindow: 6,     // Variant searches allowed per window, across all queries
+  windowMs: 10 * 1000
+};
+
+// Outgoing Moctale requests (see RequestScheduler)
+const SCHEDULER_LIMITS = {
+  maxConcurrent: 4,       // Requests running at once
+  bucketSize: 8,          // Requests allowed in a burst
+  refillPerSecond: 4,     // Sustained requests per second
+  maxRetries: 3,          // Retries of a rate-limited request
+  baseBackoffMs: 1000,    // First backoff when Moctale sends no Retry-After
+  maxRetryDelayMs: 30 * 1000 // Longer waits are reported to the caller instead
+};
+
+// Latin spellings searched (besides the original) for an Indic-script query
+const TRANSLITERATION_LIMIT = 3;
+
+// Minimum confidence for a search result to count as the same title
+const MIN_MATCH_CONFIDENCE = 0.6;
+
+// Runners-up returned with a bulk lookup match, for fixing it by hand
+const BULK_CANDIDATE_LIMIT = 5;
+
+// Content script errors that mean the tab route itself is unavailable
+const CONNECTION_ERRORS = ['NO_MOCTALE_TAB', 'INJECTION_FAILED', 'COMMUNICATION_ERROR'];
+
+// Writes need the page's CSRF token, so they only go through a Moctale tab
+const WRITE_MESSAGE_TYPES = ['RATE', 'SET_STATUS'];
+
+// Errors that mean Moctale could not be reached at all
+const OFFLINE_ERRORS = [...CONNECTION_ERRORS, 'NETWORK_ERROR'];
+
 const MESSAGE_TYPES = {
   CHECK_SESSION: 'CHECK_SESSION',
   SEARCH_MOVIES: 'SEARCH_MOVIES',
@@ -21,62 +115,380 @@ const MESSAGE_TYPES = {
   OPEN_LOGIN: 'OPEN_LOGIN',
   OPEN_MOCTALE: 'OPEN_MOCTALE',
   GET_PENDING_SEARCH: 'GET_PENDING_SEARCH',
-  CLEAR_PENDING_SEARCH: 'CLEAR_PENDING_SEARCH'
+  CLEAR_PENDING_SEARCH: 'CLEAR_PENDING_SEARCH',
+  GET_CACHE_STATS: 'GET_CACHE_STATS',
+  LOOKUP_TITLE: 'LOOKUP_TITLE',
+  OPEN_FULL_POPUP: 'OPEN_FULL_POPUP',
+  RATE_TITLE: 'RATE_TITLE',
+  SET_WATCH_STATUS: 'SET_WATCH_STATUS',
+  GET_SEARCH_HISTORY: 'GET_SEARCH_HISTORY',
+  ADD_SEARCH_HISTORY: 'ADD_SEARCH_HISTORY',
+  REMOVE_SEARCH_HISTORY: 'REMOVE_SEARCH_HISTORY',
+  CLEAR_SEARCH_HISTORY: 'CLEAR_SEARCH_HISTORY',
+  RESOLVE_TITLE: 'RESOLVE_TITLE',
+  RATE_LIMITED: 'RATE_LIMITED',
+  CANCEL_SEARCH: 'CANCEL_SEARCH',
+  SESSION_CHANGED: 'SESSION_CHANGED',
+  CONTENT_SCRIPT_READY: 'CONTENT_SCRIPT_READY'
 };
 
 const CACHE_TTL = {
   searchResults: 5 * 60 * 1000,  // 5 minutes
   movieDetails: 15 * 60 * 1000, // 15 minutes
-  sessionState: 60 * 1000       // 1 minute
+  sessionState: 60 * 1000,      // 1 minute
+  titleMatches: 6 * 60 * 60 * 1000, // 6 hours
+  queryFallbacks: 30 * 60 * 1000   // 30 minutes
+};
+
+// Cache size limits (entries)
+const CACHE_LIMITS = {
+  memoryEntries: 50,       // Hot entries kept in the service worker
+  persistentEntries: 300   // Entries kept in chrome.storage.local
 };
 
+// How long expired entries are kept around as stale fallbacks
+const CACHE_MAX_STALE_AGE = 24 * 60 * 60 * 1000; // 24 hours
+
+const CACHE_STORAGE_PREFIX = 'cache:';
+const CACHE_INDEX_KEY = 'cacheIndex';
+const CACHE_INDEX_SAVE_DELAY = 1000;
+
+// User settings (chrome.storage.sync 'settings', edited on the options page).
+// Mirrored in options.js, which also validates them.
+const DEFAULT_SETTINGS = {
+  cacheTtlMinutes: {
+    searchResults: 5,
+    movieDetails: 15,
+    sessionState: 1,
+    titleMatches: 360,
+    queryFallbacks: 30
+  },
+  moctaleOrigins: ['https://www.moctale.in', 'https://moctale.in'],
+  searchDebounceMs: 300,
+  requestTimeoutSeconds: 10,
+  popupWindow: { width: 400, height: 520 },
+  pendingSearchExpiryMinutes: 5
+};
+
+// ============================================================================
+// Settings
+// ============================================================================
+
+/*
+ * CACHE_TTL, MOCTALE_ORIGINS and API.timeout above are the defaults; applySettings
+ * overwrites them in place so existing code picks up the user's values.
+ */
+let settings = DEFAULT_SETTINGS;
+
+function isPositiveNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value > 0;
+}
+
+/**
+ * Merge stored settings over the defaults, ignoring anything malformed
+ */
+function mergeSettings(stored = {}) {
+  const merged = structuredClone(DEFAULT_SETTINGS);
+
+  for (const type of Object.keys(merged.cacheTtlMinutes)) {
+    if (isPositiveNumber(stored.cacheTtlMinutes?.[type])) {
+      merged.cacheTtlMinutes[type] = stored.cacheTtlMinutes[type];
+    }
+  }
+
+  // Only origins covered by the manifest's host permissions
+  if (Array.isArray(stored.moctaleOrigins) && stored.moctaleOrigins.length > 0 &&
+      stored.moctaleOrigins.every(origin => DEFAULT_SETTINGS.moctaleOrigins.includes(origin))) {
+    merged.moctaleOrigins = stored.moctaleOrigins;
+  }
+
+  for (const key of ['searchDebounceMs', 'requestTimeoutSeconds', 'pendingSearchExpiryMinutes']) {
+    if (isPositiveNumber(stored[key]) || (key === 'searchDebounceMs' && stored[key] === 0)) {
+      merged[key] = stored[key];
+    }
+  }
+
+  for (const key of ['width', 'height']) {
+    if (isPositiveNumber(stored.popupWindow?.[key])) {
+      merged.popupWindow[key] = Math.round(stored.popupWindow[key]);
+    }
+  }
+
+  return merged;
+}
+
+function applySettings(stored) {
+  settings = mergeSettings(stored);
+
+  for (const [type, minutes] of Object.entries(settings.cacheTtlMinutes)) {
+    CACHE_TTL[type] = minutes * 60 * 1000;
+  }
+  MOCTALE_ORIGINS.splice(0, MOCTALE_ORIGINS.length, ...settings.moctaleOrigins);
+  API.timeout = settings.requestTimeoutSeconds * 1000;
+}
+
+async function loadSettings() {
+  try {
+    const { settings: stored } = await chrome.storage.sync.get('settings');
+    applySettings(stored);
+  } catch (e) {
+    console.warn('Failed to load settings, using defaults:', e);
+  }
+}
+
+// Requests and timers wait for this so a waking service worker uses the user's values
+const settingsReady = loadSettings();
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'sync' && changes.settings) {
+    applySettings(changes.settings.newValue);
+  }
+});
+
 // ============================================================================
-// In-Memory Cache
+// Two-Tier Cache
 // ============================================================================
 
+/**
+ * Memory-first cache backed by chrome.storage.local, so entries survive
+ * service worker restarts. Both tiers evict least-recently-used entries.
+ * Expired entries are kept as "stale" (up to CACHE_MAX_STALE_AGE) so callers
+ * can serve them while revalidating or when Moctale is unreachable.
+ *
+ * Each persisted entry lives under its own `cache:<key>` storage key; a single
+ * index records expiry and last access per key, plus the hit/miss counters.
+ */
 class CacheManager {
-  constructor() {
-    this.cache = new Map();
+  constructor(limits = {}) {
+    this.limits = { ...CACHE_LIMITS, ...limits };
+    this.cache = new Map();     // Memory tier, oldest access first
+    this.index = null;          // Persistent tier: key -> { expiresAt, lastAccess }
+    this.indexReady = null;
+    this.indexSaveTimer = null;
+    this.stats = {
+      hits: 0,
+      misses: 0,
+      memoryHits: 0,
+      persistentHits: 0,
+      staleHits: 0,
+      evictions: 0
+    };
   }
 
   generateKey(type, ...args) {
     return `${type}:${args.join(':')}`;
   }
 
-  get(type, ...args) {
+  storageKey(key) {
+    return `${CACHE_STORAGE_PREFIX}${key}`;
+  }
+
+  /**
+   * Load the persistent index once per service worker lifetime
+   */
+  loadIndex() {
+    if (!this.indexReady) {
+      this.indexReady = chrome.storage.local.get(CACHE_INDEX_KEY).then(result => {
+        const saved = result[CACHE_INDEX_KEY] || {};
+        this.index = saved.entries || {};
+
+        for (const [name, value] of Object.entries(saved.stats || {})) {
+          if (name in this.stats) {
+            this.stats[name] += value;
+          }
+        }
+      });
+    }
+    return this.indexReady;
+  }
+
+  saveIndex() {
+    clearTimeout(this.indexSaveTimer);
+    this.indexSaveTimer = null;
+    return chrome.storage.local.set({
+      [CACHE_INDEX_KEY]: { entries: this.index, stats: this.stats }
+    });
+  }
+
+  /**
+   * Debounced index save for access-time and counter updates
+   */
+  scheduleIndexSave() {
+    if (this.indexSaveTimer) return;
+    this.indexSaveTimer = setTimeout(() => this.saveIndex(), CACHE_INDEX_SAVE_DELAY);
+  }
+
+  rememberInMemory(key, entry) {
+    this.cache.delete(key);
+    this.cache.set(key, entry);
+
+    while (this.cache.size > this.limits.memoryEntries) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+  }
+
+  /**
+   * Look up an entry, including stale ones.
+   * Returns { data, storedAt, expiresAt, stale } or null.
+   */
+  async getEntry(type, ...args) {
     const key = this.generateKey(type, ...args);
-    const entry = this.cache.get(key);
+    await this.loadIndex();
 
-    if (!entry) return null;
+    let entry = this.cache.get(key);
+    let tier = 'memory';
 
-    if (Date.now() > entry.expiresAt) {
-      this.cache.delete(key);
+    if (!entry && this.index[key]) {
+      const storageKey = this.storageKey(key);
+      const result = await chrome.storage.local.get(storageKey);
+      entry = result[storageKey];
+      tier = 'persistent';
+    }
+
+    const now = Date.now();
+
+    if (!entry || now > entry.expiresAt + CACHE_MAX_STALE_AGE) {
+      this.stats.misses++;
+      if (entry || this.index[key]) {
+        await this.deleteKeys([key]);
+      } else {
+        this.scheduleIndexSave();
+      }
       return null;
     }
 
-    return entry.data;
+    const stale = now > entry.expiresAt;
+    if (stale) {
+      this.stats.misses++;
+      this.stats.staleHits++;
+    } else {
+      this.stats.hits++;
+      this.stats[tier === 'memory' ? 'memoryHits' : 'persistentHits']++;
+    }
+
+    this.rememberInMemory(key, entry);
+    if (this.index[key]) {
+      this.index[key].lastAccess = now;
+    }
+    this.scheduleIndexSave();
+
+    return { ...entry, stale };
+  }
+
+  /**
+   * Look up fresh data only
+   */
+  async get(type, ...args) {
+    const entry = await this.getEntry(type, ...args);
+    return entry && !entry.stale ? entry.data : null;
   }
 
-  set(type, data, ...args) {
+  async set(type, data, ...args) {
     const key = this.generateKey(type, ...args);
     const ttl = CACHE_TTL[type] || CACHE_TTL.searchResults;
-
-    this.cache.set(key, {
+    const entry = {
       data,
+      storedAt: Date.now(),
       expiresAt: Date.now() + ttl
+    };
+
+    await this.loadIndex();
+    this.rememberInMemory(key, entry);
+    this.index[key] = { expiresAt: entry.expiresAt, lastAccess: Date.now() };
+
+    const evicted = this.selectEvictions();
+    if (evicted.length > 0) {
+      this.stats.evictions += evicted.length;
+      await this.deleteKeys(evicted);
+    }
+
+    await chrome.storage.local.set({ [this.storageKey(key)]: entry });
+    await this.saveIndex();
+  }
+
+  /**
+   * Pick persistent entries over the size limit: expired first, then least recently used
+   */
+  selectEvictions() {
+    const keys = Object.keys(this.index);
+    const overflow = keys.length - this.limits.persistentEntries;
+    if (overflow <= 0) return [];
+
+    const now = Date.now();
+    return keys
+      .sort((a, b) => {
+        const entryA = this.index[a];
+        const entryB = this.index[b];
+        return (entryA.expiresAt > now) - (entryB.expiresAt > now) ||
+          entryA.lastAccess - entryB.lastAccess;
+      })
+      .slice(0, overflow);
+  }
+
+  async deleteKeys(keys) {
+    for (const key of keys) {
+      this.cache.delete(key);
+      delete this.index[key];
+    }
+    await chrome.storage.local.remove(keys.map(key => this.storageKey(key)));
+    await this.saveIndex();
+  }
+
+  async delete(type, ...args) {
+    await this.loadIndex();
+    await this.deleteKeys([this.generateKey(type, ...args)]);
+  }
+
+  /**
+   * Delete every entry of a type whose data matches a predicate
+   */
+  async deleteMatching(type, predicate) {
+    await this.loadIndex();
+    const prefix = `${type}:`;
+    const keys = Object.keys(this.index).filter(key => key.startsWith(prefix));
+    if (keys.length === 0) return;
+
+    const stored = await chrome.storage.local.get(keys.map(key => this.storageKey(key)));
+    const matching = keys.filter(key => {
+      const entry = this.cache.get(key) || stored[this.storageKey(key)];
+      return entry && predicate(entry.data);
     });
+
+    if (matching.length > 0) {
+      await this.deleteKeys(matching);
+    }
   }
 
-  clear() {
+  async clear() {
+    await this.loadIndex();
     this.cache.clear();
+    await this.deleteKeys(Object.keys(this.index));
   }
 
-  clearType(type) {
+  async clearType(type) {
+    await this.loadIndex();
     for (const key of this.cache.keys()) {
       if (key.startsWith(`${type}:`)) {
         this.cache.delete(key);
       }
     }
+    await this.deleteKeys(Object.keys(this.index).filter(key => key.startsWith(`${type}:`)));
+  }
+
+  /**
+   * Hit/miss counters and tier sizes
+   */
+  async getStats() {
+    await this.loadIndex();
+    const lookups = this.stats.hits + this.stats.misses;
+
+    return {
+      ...this.stats,
+      hitRate: lookups > 0 ? this.stats.hits / lookups : 0,
+      memoryEntries: this.cache.size,
+      persistentEntries: Object.keys(this.index).length,
+      limits: { ...this.limits }
+    };
   }
 }
 
@@ -86,56 +498,238 @@ const cacheManager = new CacheManager();
 // Tab Management
 // ============================================================================
 
+// Moctale tabs whose content script failed to answer, by tab ID: time of the failure
+const failedTabs = new Map();
+
+function isMoctaleUrl(url) {
+  return Boolean(url) && MOCTALE_ORIGINS.some(origin => url.startsWith(origin));
+}
+
 /**
- * Find an existing Moctale tab or create one
+ * Whether the popup is shown over an incognito window. With the default
+ * "spanning" incognito mode the popup can't tell itself, so use the window
+ * that had focus when it was opened.
  */
-async function findMoctaleTab() {
-  const tabs = await chrome.tabs.query({});
-  return tabs.find(tab =>
-    tab.url && MOCTALE_ORIGINS.some(origin => tab.url.startsWith(origin))
+async function isIncognitoRequest() {
+  const focusedWindow = await chrome.windows.getLastFocused().catch(() => null);
+  return focusedWindow?.incognito === true;
+}
+
+/**
+ * Registry of usable Moctale tabs, best first: tabs from the caller's profile,
+ * then ones that haven't failed recently, aren't on the login page, are active,
+ * and were used most recently. Discarded and frozen tabs can't run the content
+ * script and are left out unless includeDiscarded is set (listed last).
+ */
+async function getMoctaleTabs({ includeDiscarded = false } = {}) {
+  const incognito = await isIncognitoRequest();
+  const now = Date.now();
+
+  const tabs = (await chrome.tabs.query({})).filter(tab =>
+    isMoctaleUrl(tab.url) &&
+    (incognito || !tab.incognito) &&
+    (includeDiscarded || (!tab.discarded && !tab.frozen))
   );
+
+  const rank = tab => [
+    tab.incognito === incognito ? 0 : 1,
+    tab.discarded || tab.frozen ? 1 : 0,
+    now - (failedTabs.get(tab.id) || 0) < TAB_LIMITS.failureCooldownMs ? 1 : 0,
+    new URL(tab.url).pathname.startsWith('/login') ? 1 : 0,
+    tab.active ? 0 : 1,
+    -(tab.lastAccessed || 0)
+  ];
+
+  return tabs
+    .map(tab => ({ tab, rank: rank(tab) }))
+    .sort((a, b) => {
+      const index = a.rank.findIndex((value, i) => value !== b.rank[i]);
+      return index === -1 ? 0 : a.rank[index] - b.rank[index];
+    })
+    .map(({ tab }) => tab);
 }
 
 /**
- * Ensure content script is injected in a tab
+ * Find the best existing Moctale tab to show the user (discarded tabs reload when activated)
  */
-async function ensureContentScriptInjected(tabId) {
+async function findMoctaleTab() {
+  const [tab] = await getMoctaleTabs({ includeDiscarded: true });
+  return tab;
+}
+
+/**
+ * Reload a discarded tab and wait until it has loaded
+ */
+async function reloadTab(tabId) {
+  const loaded = new Promise(resolve => {
+    const timeoutId = setTimeout(() => finish(false), TAB_LIMITS.reloadTimeoutMs);
+    const listener = (updatedId, changeInfo) => {
+      if (updatedId === tabId && changeInfo.status === 'complete') finish(true);
+    };
+    const finish = result => {
+      clearTimeout(timeoutId);
+      chrome.tabs.onUpdated.removeListener(listener);
+      resolve(result);
+    };
+    chrome.tabs.onUpdated.addListener(listener);
+  });
+
   try {
-    // Try to ping the content script first
-    const response = await chrome.tabs.sendMessage(tabId, { type: 'PING' });
-    return response?.pong === true;
+    await chrome.tabs.reload(tabId);
   } catch (e) {
-    // Content script not ready, try to inject it
-    try {
-      await chrome.scripting.executeScript({
-        target: { tabId },
-        files: ['scripts/contentScript.js']
-      });
-      // Wait a moment for script to initialize
-      await new Promise(resolve => setTimeout(resolve, 100));
-      return true;
-    } catch (injectError) {
-      console.error('Failed to inject content script:', injectError);
-      return false;
-    }
+    return false;
   }
+  return loaded;
 }
 
+// A tab that reloads or navigates gets a fresh chance
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+  if (changeInfo.status === 'complete') {
+    failedTabs.delete(tabId);
+  }
+});
+
+chrome.tabs.onRemoved.addListener(tabId => failedTabs.delete(tabId));
+
+// Content script version each tab reported with CONTENT_SCRIPT_READY, by tab ID
+const readyTabs = new Map();
+
+// Resolvers waiting for a tab's CONTENT_SCRIPT_READY, by tab ID
+const readinessWaiters = new Map();
+
 /**
- * Send message to content script in Moctale tab
+ * Record a content script that finished loading (declared or injected)
  */
-async function sendToContentScript(message) {
-  const moctaleTab = await findMoctaleTab();
+function handleContentScriptReady(tabId, version) {
+  readyTabs.set(tabId, version || null);
+  readinessWaiters.get(tabId)?.forEach(resolve => resolve(version || null));
+  readinessWaiters.delete(tabId);
+  return { success: true };
+}
 
-  if (!moctaleTab) {
-    return {
-      success: false,
-      error: 'NO_MOCTALE_TAB',
-      message: 'Please open moctale.in in a browser tab first'
+/**
+ * Wait for a tab's content script to report ready. Resolves with its
+ * version, or null after the timeout.
+ */
+function waitForContentScriptReady(tabId, timeout = TAB_LIMITS.readyTimeoutMs) {
+  return new Promise(resolve => {
+    const waiters = readinessWaiters.get(tabId) || [];
+    const timeoutId = setTimeout(() => {
+      readinessWaiters.set(tabId, (readinessWaiters.get(tabId) || []).filter(waiter => waiter !== finish));
+      resolve(null);
+    }, timeout);
+    const finish = version => {
+      clearTimeout(timeoutId);
+      resolve(version);
     };
+
+    readinessWaiters.set(tabId, [...waiters, finish]);
+  });
+}
+
+/**
+ * Version of the content script answering in a tab, or null if none does.
+ * Scripts from before the readiness handshake answer without a version.
+ */
+async function pingContentScript(tabId) {
+  try {
+    const response = await chrome.tabs.sendMessage(tabId, { type: 'PING' });
+    return response?.pong === true ? response.version || 'unknown' : null;
+  } catch (e) {
+    return null;
   }
+}
+
+// A page load replaces the content script; it reports ready again
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+  if (changeInfo.status === 'loading') {
+    readyTabs.delete(tabId);
+  }
+});
+
+chrome.tabs.onRemoved.addListener(tabId => readyTabs.delete(tabId));
+
+/**
+ * Ensure the current version of the content script is running in a tab,
+ * injecting it (and waiting for its ready message) when it's missing or outdated
+ */
+async function ensureContentScriptInjected(tabId) {
+  const version = readyTabs.get(tabId) || await pingContentScript(tabId);
+  if (version === EXTENSION_VERSION) {
+    readyTabs.set(tabId, version);
+    return true;
+  }
+
+  // Register before injecting: the ready message can beat executeScript's result
+  readyTabs.delete(tabId);
+  const ready = waitForContentScriptReady(tabId);
+
+  try {
+    await chrome.scripting.executeScript({
+      target: { tabId },
+      files: ['scripts/contentScript.js']
+    });
+  } catch (injectError) {
+    console.error('Failed to inject content script:', injectError);
+    return false;
+  }
+
+  const readyVersion = await ready;
+  if (readyVersion !== EXTENSION_VERSION) {
+    console.warn('Content script did not report ready in tab', tabId);
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Send message to content script in the best Moctale tab, trying the next
+ * one when a tab can't be reached. A discarded tab is reloaded only when no
+ * other tab works. Aborting the signal cancels the tab's fetch as well.
+ * A write that may have reached a tab is never sent to another one.
+ */
+async function sendToContentScript(message, signal = null) {
+  const tabs = await getMoctaleTabs({ includeDiscarded: true });
+  const liveTabs = tabs.filter(tab => !tab.discarded && !tab.frozen);
+  const discardedTab = tabs.find(tab => tab.discarded);
+
+  let response = {
+    success: false,
+    error: 'NO_MOCTALE_TAB',
+    message: 'Please open moctale.in in a browser tab first'
+  };
+
+  const isWrite = WRITE_MESSAGE_TYPES.includes(message.type);
+
+  for (const tab of liveTabs) {
+    response = await sendToTab(tab.id, message, signal);
+    if (!CONNECTION_ERRORS.includes(response?.error) || signal?.aborted) {
+      failedTabs.delete(tab.id);
+      return response;
+    }
+    failedTabs.set(tab.id, Date.now());
+
+    if (isWrite && response.error === 'COMMUNICATION_ERROR') {
+      return response;
+    }
+  }
+
+  if (discardedTab && !signal?.aborted && await reloadTab(discardedTab.id)) {
+    response = await sendToTab(discardedTab.id, message, signal);
+    if (CONNECTION_ERRORS.includes(response?.error)) {
+      failedTabs.set(discardedTab.id, Date.now());
+    }
+  }
+
+  return response;
+}
 
-  const injected = await ensureContentScriptInjected(moctaleTab.id);
+/**
+ * Send message to the content script in one tab
+ */
+async function sendToTab(tabId, message, signal = null) {
+  const injected = await ensureContentScriptInjected(tabId);
   if (!injected) {
     return {
       success: false,
@@ -144,106 +738,1454 @@ async function sendToContentScript(message) {
     };
   }
 
+  const requestId = signal ? crypto.randomUUID() : undefined;
+  const cancel = () => {
+    chrome.tabs.sendMessage(tabId, { type: 'CANCEL', requestId }).catch(() => {});
+  };
+  signal?.addEventListener('abort', cancel, { once: true });
+
   try {
-    const response = await chrome.tabs.sendMessage(moctaleTab.id, message);
+    const response = await chrome.tabs.sendMessage(tabId, { ...message, requestId });
     return response;
   } catch (e) {
     console.error('Error sending message to content script:', e);
+    readyTabs.delete(tabId);
     return {
       success: false,
       error: 'COMMUNICATION_ERROR',
       message: 'Failed to communicate with Moctale tab'
     };
+  } finally {
+    signal?.removeEventListener('abort', cancel);
   }
 }
 
 // ============================================================================
-// Message Handlers
+// Direct API (tabless mode)
 // ============================================================================
 
 /**
- * Check if user is logged in on Moctale
+ * Make a fetch request to moctale.in with timeout (options.signal aborts it early).
+ * host_permissions let the service worker send the user's moctale.in cookies.
  */
-async function handleCheckSession() {
-  // Check cache first
-  const cachedSession = cacheManager.get('sessionState', 'status');
-  if (cachedSession !== null) {
-    return cachedSession;
-  }
+async function fetchFromMoctale(path, options = {}, timeout = API.timeout) {
+  const { signal, ...fetchOptions } = options;
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeout);
 
-  const response = await sendToContentScript({ type: 'CHECK_AUTH' });
+  const abort = () => controller.abort();
+  if (signal?.aborted) abort();
+  signal?.addEventListener('abort', abort, { once: true });
 
-  if (response.success) {
-    cacheManager.set('sessionState', response, 'status');
+  try {
+    return await fetch(`${API.baseUrl}${path}`, {
+      method: 'GET',
+      ...fetchOptions,
+      headers: { 'Accept': '*/*', 'Content-Type': 'application/json' },
+      credentials: 'include',
+      signal: controller.signal
+    });
+  } finally {
+    clearTimeout(timeoutId);
+    signal?.removeEventListener('abort', abort);
   }
-
-  return response;
 }
 
 /**
- * Search for movies
+ * Read a Retry-After header (seconds or an HTTP date) as milliseconds
  */
-async function handleSearchMovies(query) {
-  if (!query || query.trim().length === 0) {
-    return {
-      success: false,
-      error: 'INVALID_QUERY',
-      message: 'Please enter a search term'
-    };
-  }
-
-  const normalizedQuery = query.trim().toLowerCase();
+function parseRetryAfter(value) {
+  if (!value) return null;
 
-  // Check cache first
-  const cachedResults = cacheManager.get('searchResults', normalizedQuery);
-  if (cachedResults !== null) {
-    return { ...cachedResults, cached: true };
-  }
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
 
-  const response = await sendToContentScript({
-    type: 'SEARCH',
-    query: normalizedQuery
-  });
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
 
-  if (response.success) {
-    cacheManager.set('searchResults', response, normalizedQuery);
-  }
+/**
+ * Build the error for a 429 response (mirrors contentScript.js)
+ */
+function getRateLimitedResponse(response) {
+  return {
+    success: false,
+    error: 'RATE_LIMITED',
+    message: 'Moctale is rate limiting requests. Please try again shortly.',
+    retryAfter: parseRetryAfter(response.headers.get('Retry-After'))
+  };
+}
 
-  return response;
+/**
+ * Normalize movie data from Moctale API format (mirrors contentScript.js)
+ */
+function normalizeMovieData(item) {
+  return {
+    id: item.slug,
+    title: item.name,
+    year: item.year,
+    rating: item.rating || null,
+    ratingCount: item.ratingCount || 0,
+    poster: item.image,
+    banner: item.banner,
+    summary: item.summary || item.description || null,
+    type: item.is_show ? 'series' : 'movie',
+    slug: item.slug,
+    url: `/content/${item.slug}`
+  };
 }
 
 /**
- * Get details for a specific movie
+ * Normalize review data (mirrors contentScript.js)
  */
-async function handleGetMovieDetails(movieId) {
-  if (!movieId) {
-    return {
-      success: false,
-      error: 'INVALID_ID',
-      message: 'Movie ID is required'
-    };
-  }
+function normalizeReview(review) {
+  return {
+    id: review.id || review._id,
+    author: review.author || review.user || review.username || 'Anonymous',
+    rating: review.rating || review.score || null,
+    text: review.text || review.content || review.review || review.body || '',
+    date: review.date || review.createdAt || review.timestamp || null,
+    helpful: review.helpful || review.likes || 0
+  };
+}
 
-  // Check cache first
-  const cachedDetails = cacheManager.get('movieDetails', movieId);
-  if (cachedDetails !== null) {
-    return { ...cachedDetails, cached: true };
-  }
+/**
+ * Normalize movie details from API response (mirrors contentScript.js)
+ */
+function normalizeMovieDetails(data) {
+  const movie = data.movie || data.content || data.data || data;
+
+  return {
+    ...normalizeMovieData(movie),
+    genres: movie.genres || movie.genre || [],
+    duration: movie.duration || movie.runtime || null,
+    director: movie.director || movie.directors?.[0] || null,
+    cast: movie.cast || movie.actors || [],
+    reviews: (movie.reviews || movie.userReviews || []).map(normalizeReview),
+    userRating: movie.userRating || movie.myRating || null,
+    watchStatus: movie.watchStatus || movie.userStatus || movie.myStatus || null,
+    trailer: movie.trailer || movie.trailerUrl || null,
+    streamingPlatforms: movie.platforms || movie.streaming || movie.watchOn || []
+  };
+}
 
-  const response = await sendToContentScript({
-    type: 'GET_DETAILS',
-    movieId
-  });
+/**
+ * Check authentication via /api/me
+ */
+async function checkAuthDirect() {
+  const response = await fetchFromMoctale(API.me);
 
-  if (response.success) {
-    cacheManager.set('movieDetails', response, movieId);
+  if (response.ok) {
+    const data = await response.json();
+    return {
+      success: true,
+      isLoggedIn: true,
+      userId: data.id || data._id || data.user?.id || null,
+      username: data.username || data.name || data.user?.username || null,
+      method: 'direct'
+    };
+  } else if (response.status === 429) {
+    return getRateLimitedResponse(response);
+  } else if (response.status === 401 || response.status === 403) {
+    return {
+      success: true,
+      isLoggedIn: false,
+      username: null,
+      method: 'direct',
+      indicator: 'unauthorized'
+    };
   }
 
-  return response;
+  return {
+    success: false,
+    error: 'API_ERROR',
+    message: `Auth check failed with status ${response.status}`
+  };
 }
 
 /**
- * Open Moctale login page
+ * Search via /api/search
+ */
+async function searchDirect(query, page = 1, signal = null) {
+  const endpoint = `${API.search}?q=${encodeURIComponent(query)}&page=${page}`;
+  const response = await fetchFromMoctale(endpoint, { signal });
+
+  if (response.ok) {
+    const data = await response.json();
+    const results = data.data || [];
+
+    return {
+      success: true,
+      method: 'direct',
+      endpoint,
+      results: results.map(normalizeMovieData),
+      pagination: {
+        totalPages: data.total_pages || 1,
+        currentPage: data.current_page || 1,
+        nextPage: data.next_page,
+        previousPage: data.previous_page,
+        count: data.count || results.length
+      }
+    };
+  } else if (response.status === 429) {
+    return getRateLimitedResponse(response);
+  } else if (response.status === 401 || response.status === 403) {
+    return {
+      success: false,
+      error: 'UNAUTHORIZED',
+      message: 'Session expired. Please log in again.'
+    };
+  }
+
+  return {
+    success: false,
+    error: 'API_ERROR',
+    message: `Search failed with status ${response.status}`
+  };
+}
+
+/**
+ * Get movie details via /api/content/{slug}
+ */
+async function getDetailsDirect(slug) {
+  const response = await fetchFromMoctale(`${API.content}/${encodeURIComponent(slug)}`);
+
+  if (response.ok) {
+    const data = await response.json();
+    return {
+      success: true,
+      method: 'direct',
+      data: normalizeMovieDetails(data)
+    };
+  } else if (response.status === 429) {
+    return getRateLimitedResponse(response);
+  } else if (response.status === 401 || response.status === 403) {
+    return {
+      success: false,
+      error: 'UNAUTHORIZED',
+      message: 'Session expired. Please log in again.'
+    };
+  } else if (response.status === 404) {
+    return {
+      success: false,
+      error: 'NOT_FOUND',
+      message: 'Movie not found'
+    };
+  }
+
+  return {
+    success: false,
+    error: 'FETCH_FAILED',
+    message: 'Failed to fetch movie details'
+  };
+}
+
+/**
+ * Run a content-script style message against the API directly
+ */
+async function sendDirect(message, signal = null) {
+  try {
+    switch (message.type) {
+      case 'CHECK_AUTH':
+        return await checkAuthDirect();
+      case 'SEARCH':
+        return await searchDirect(message.query, message.page || 1, signal);
+      case 'GET_DETAILS':
+        return await getDetailsDirect(message.slug || message.movieId);
+      default:
+        return {
+          success: false,
+          error: 'UNKNOWN_MESSAGE_TYPE',
+          message: `Unknown message type: ${message.type}`
+        };
+    }
+  } catch (error) {
+    if (!signal?.aborted) {
+      console.warn('Direct API request failed:', error.message);
+    }
+    return {
+      success: false,
+      error: 'NETWORK_ERROR',
+      message: error.message || 'Network error occurred'
+    };
+  }
+}
+
+/**
+ * Response for a request whose caller no longer needs it
+ */
+function getCancelledResponse() {
+  return {
+    success: false,
+    error: 'CANCELLED',
+    message: 'Request was cancelled'
+  };
+}
+
+/**
+ * Send a request to Moctale over whichever route works.
+ * message.signal (not sent) cancels it while queued or in flight.
+ */
+async function requestMoctale(message) {
+  await settingsReady;
+  const { signal, ...request } = message;
+  const response = await requestScheduler.schedule(() => requestMoctaleRoutes(request, signal), signal);
+
+  // An aborted fetch looks like a network error; it says nothing about reachability
+  if (signal?.aborted) {
+    return getCancelledResponse();
+  }
+
+  const reachable = !OFFLINE_ERRORS.includes(response.error);
+  if (reachable !== isMoctaleReachable) {
+    isMoctaleReachable = reachable;
+    updateActiveTabBadge();
+  }
+
+  return response;
+}
+
+/**
+ * Try the direct API first, then a Moctale tab.
+ * A connection error is only reported when both routes fail.
+ * Writes skip the direct API and are never retried on another route.
+ */
+async function requestMoctaleRoutes(message, signal = null) {
+  if (WRITE_MESSAGE_TYPES.includes(message.type)) {
+    return sendToContentScript(message, signal);
+  }
+
+  const direct = await sendDirect(message, signal);
+
+  if (signal?.aborted) {
+    return getCancelledResponse();
+  }
+
+  // A logged-out answer may just mean the cookies weren't sent; let a tab confirm
+  if (direct.success && direct.isLoggedIn !== false) {
+    return direct;
+  }
+
+  // The tab talks to the same server, so it would be rate limited too
+  if (direct.error === 'RATE_LIMITED') {
+    return direct;
+  }
+
+  const fallback = await sendToContentScript(message, signal);
+  if (fallback.success || !CONNECTION_ERRORS.includes(fallback.error)) {
+    return fallback;
+  }
+
+  return direct.error === 'NETWORK_ERROR' ? fallback : direct;
+}
+
+// ============================================================================
+// Request Scheduler
+// ============================================================================
+
+/**
+ * Runs Moctale requests with a concurrency cap and a token-bucket rate limit.
+ * A rate-limited (429) response pauses every queued request for Retry-After
+ * (or an exponential backoff) and the request is retried, up to maxRetries.
+ */
+class RequestScheduler {
+  constructor(limits, onBackoff) {
+    this.limits = limits;
+    this.onBackoff = onBackoff;
+    this.tokens = limits.bucketSize;
+    this.lastRefill = Date.now();
+    this.active = 0;
+    this.queue = [];
+    this.pausedUntil = 0;
+    this.timer = null;
+  }
+
+  /**
+   * Queue a task returning a { success, error } response. Aborting the
+   * signal drops the task if it hasn't started yet.
+   */
+  schedule(task, signal = null) {
+    if (signal?.aborted) {
+      return Promise.resolve(getCancelledResponse());
+    }
+
+    // Don't hold requests for minutes; report the wait instead
+    const pause = this.pausedUntil - Date.now();
+    if (pause > this.limits.maxRetryDelayMs) {
+      return Promise.resolve(this.getGiveUpResponse({ error: 'RATE_LIMITED' }, pause));
+    }
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        const index = this.queue.indexOf(item);
+        if (index !== -1) {
+          this.queue.splice(index, 1);
+          item.resolve(getCancelledResponse());
+        }
+      };
+
+      // The listener stays while the task runs (a rate-limited task is queued
+      // again) and is removed once the task settles, however it settles
+      const settle = callback => value => {
+        signal?.removeEventListener('abort', onAbort);
+        callback(value);
+      };
+
+      const item = { task, resolve: settle(resolve), reject: settle(reject), attempt: 0 };
+      this.queue.push(item);
+
+      signal?.addEventListener('abort', onAbort, { once: true });
+
+      this.drain();
+    });
+  }
+
+  /**
+   * Milliseconds until the next request may start
+   */
+  getWaitTime() {
+    const pause = this.pausedUntil - Date.now();
+    if (pause > 0) return pause;
+
+    const now = Date.now();
+    const refilled = (now - this.lastRefill) / 1000 * this.limits.refillPerSecond;
+    this.tokens = Math.min(this.limits.bucketSize, this.tokens + refilled);
+    this.lastRefill = now;
+
+    return this.tokens >= 1 ? 0 : Math.ceil((1 - this.tokens) / this.limits.refillPerSecond * 1000);
+  }
+
+  /**
+   * Start queued requests while there are free slots and tokens
+   */
+  drain() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    while (this.queue.length > 0 && this.active < this.limits.maxConcurrent) {
+      const wait = this.getWaitTime();
+      if (wait > this.limits.maxRetryDelayMs) {
+        this.queue.splice(0).forEach(item =>
+          item.resolve(this.getGiveUpResponse({ error: 'RATE_LIMITED' }, wait))
+        );
+        return;
+      }
+      if (wait > 0) {
+        this.timer = setTimeout(() => this.drain(), wait);
+        return;
+      }
+
+      this.tokens -= 1;
+      this.run(this.queue.shift());
+    }
+  }
+
+  async run(item) {
+    this.active++;
+    try {
+      const response = await item.task();
+
+      if (response?.error === 'RATE_LIMITED') {
+        this.handleRateLimited(item, response);
+      } else {
+        item.resolve(response);
+      }
+    } catch (error) {
+      item.reject(error);
+    } finally {
+      this.active--;
+      this.drain();
+    }
+  }
+
+  /**
+   * Pause everything, then retry the request first; give up after maxRetries
+   */
+  handleRateLimited(item, response) {
+    const backoff = this.limits.baseBackoffMs * 2 ** item.attempt;
+    const delay = response.retryAfter ?? backoff;
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + delay);
+
+    if (item.attempt >= this.limits.maxRetries || delay > this.limits.maxRetryDelayMs) {
+      item.resolve(this.getGiveUpResponse(response, delay));
+      return;
+    }
+
+    item.attempt++;
+    this.queue.unshift(item);
+    this.onBackoff?.(this.pausedUntil);
+  }
+
+  getGiveUpResponse(response, delay) {
+    const seconds = Math.ceil(delay / 1000);
+    return {
+      ...response,
+      success: false,
+      retryAfter: delay,
+      message: `Moctale is rate limiting requests. Try again in ${seconds}s.`
+    };
+  }
+}
+
+/**
+ * Tell open popups that requests are waiting out a rate limit
+ */
+function notifyRateLimited(retryAt) {
+  chrome.runtime.sendMessage({ type: MESSAGE_TYPES.RATE_LIMITED, retryAt }).catch(() => {});
+}
+
+const requestScheduler = new RequestScheduler(SCHEDULER_LIMITS, notifyRateLimited);
+
+// ============================================================================
+// Stale-While-Revalidate
+// ============================================================================
+
+// Whether the most recent request reached Moctale
+let isMoctaleReachable = true;
+
+// Network requests in progress by cache key, so concurrent callers share one:
+// { promise, controller, callers (cancellable callers waiting), keepAlive }
+const inFlightRequests = new Map();
+
+/**
+ * Fetch and cache a response, joining a request for the same key that is
+ * already running (e.g. the popup and the omnibox searching the same query).
+ * message.signal cancels this caller's wait; the request itself is only
+ * aborted once no caller is left waiting for it.
+ */
+function requestShared(type, message, ...args) {
+  const key = cacheManager.generateKey(type, ...args);
+  const { signal, ...request } = message;
+
+  let shared = inFlightRequests.get(key);
+  if (!shared) {
+    const controller = new AbortController();
+    shared = { controller, callers: 0, keepAlive: false };
+    shared.promise = requestMoctale({ ...request, signal: controller.signal })
+      .then(async response => {
+        if (response.success) {
+          await cacheManager.set(type, response, ...args);
+        }
+        return response;
+      })
+      .finally(() => {
+        if (inFlightRequests.get(key) === shared) {
+          inFlightRequests.delete(key);
+        }
+      });
+    inFlightRequests.set(key, shared);
+  }
+
+  if (!signal) {
+    shared.keepAlive = true;
+    return shared.promise;
+  }
+
+  if (signal.aborted) {
+    return Promise.resolve(getCancelledResponse());
+  }
+
+  shared.callers++;
+  return new Promise((resolve, reject) => {
+    const cancel = () => {
+      shared.callers--;
+      if (shared.callers === 0 && !shared.keepAlive) {
+        inFlightRequests.delete(key);
+        shared.controller.abort();
+      }
+      resolve(getCancelledResponse());
+    };
+    signal.addEventListener('abort', cancel, { once: true });
+
+    shared.promise
+      .finally(() => signal.removeEventListener('abort', cancel))
+      .then(resolve, reject);
+  });
+}
+
+/**
+ * Refresh a cache entry without making the caller wait (or letting it cancel)
+ */
+function revalidateInBackground(type, message, ...args) {
+  const { signal, ...request } = message;
+  requestShared(type, request, ...args)
+    .catch(error => console.warn('Background refresh failed:', error));
+}
+
+/**
+ * Serve a request from cache: fresh entries as-is, stale entries immediately
+ * (marked with their age) while refreshing, otherwise from the network.
+ * message.signal cancels the network request.
+ */
+async function requestWithCache(type, message, ...args) {
+  const entry = await cacheManager.getEntry(type, ...args);
+
+  if (entry && !entry.stale) {
+    return { ...entry.data, cached: true };
+  }
+
+  if (entry) {
+    revalidateInBackground(type, message, ...args);
+    return {
+      ...entry.data,
+      cached: true,
+      stale: true,
+      age: Date.now() - entry.storedAt,
+      offline: !isMoctaleReachable
+    };
+  }
+
+  return requestShared(type, message, ...args);
+}
+
+// ============================================================================
+// Query Parsing
+// ============================================================================
+
+const QUERY_PATTERNS = {
+  // "... | Shah Rukh Khan", "... | T-Series"
+  pipeSuffix: /\s+\|\s+.*$/,
+  // "– Official Trailer", "Hindi Teaser 2", "(Official Video Song)"
+  trailer: /\s*[-–—:(\[]?\s*\b(?:(?:official|final|new|hindi|tamil|telugu|malayalam|kannada|bengali|marathi|english)\s+)*(?:teaser|trailer|promo|motion poster|first look|full movie|video song|lyrical video)\b.*$/i,
+  // "S03E02", "S3", "Season 2", "Episode 4", "3x07"
+  season: /\b(?:S\d{1,2}\s?E\d{1,3}|S\d{1,2}|Season\s*\d+|Episode\s*\d+|Ep\.?\s*\d+|\d{1,2}x\d{2})\b/i,
+  // Release-quality tags; everything after the first one is release noise
+  quality: /\b(?:480p|720p|1080p|2160p|4k|uhd|hdr(?:10)?|blu-?ray|brrip|bdrip|web-?dl|web-?rip|hdrip|dvdrip|hdtv|x26[45]|h\.?26[45]|hevc|10bit|aac|dd5\.1|hdcam|camrip)\b/i,
+  // "(2024)" or "[2024]"
+  bracketYear: /[([]\s*((?:18|19|20)\d{2})\s*[)\]]/,
+  // "Oppenheimer 2023 1080p"
+  standaloneYear: /(^|\s)((?:19|20)\d{2})(?=\s|$)/
+};
+
+/**
+ * Check whether a number could be a release year
+ */
+function isPlausibleYear(year) {
+  return year >= 1888 && year <= new Date().getFullYear() + 5;
+}
+
+/**
+ * Clean up a raw query (typically a context-menu selection).
+ * Strips trailer suffixes, season/episode and release-quality tags, and pulls
+ * out a release year. Returns { query, year, type } where type is 'series'
+ * when season/episode tags were found.
+ *
+ * With ignoreYear, a bare year stays in the query as part of the title
+ * (e.g. after the user dismisses the parsed year).
+ */
+function parseQuery(rawQuery, { ignoreYear = false } = {}) {
+  let text = rawQuery.trim();
+  let year = null;
+  let type = null;
+
+  // Release names use dots or underscores instead of spaces
+  if (!/\s/.test(text) && /[._]/.test(text)) {
+    text = text.replace(/[._]+/g, ' ');
+  }
+
+  text = text.replace(QUERY_PATTERNS.pipeSuffix, '').replace(QUERY_PATTERNS.trailer, '');
+
+  let cutAt = text.length;
+
+  const season = text.match(QUERY_PATTERNS.season);
+  if (season) {
+    type = 'series';
+    cutAt = Math.min(cutAt, season.index);
+  }
+
+  const quality = text.match(QUERY_PATTERNS.quality);
+  if (quality) {
+    cutAt = Math.min(cutAt, quality.index);
+  }
+
+  const bracketYear = text.match(QUERY_PATTERNS.bracketYear);
+  if (bracketYear && bracketYear.index > 0 && isPlausibleYear(Number(bracketYear[1]))) {
+    year = ignoreYear ? null : Number(bracketYear[1]);
+    cutAt = Math.min(cutAt, bracketYear.index);
+  } else if (!ignoreYear) {
+    const standaloneYear = text.match(QUERY_PATTERNS.standaloneYear);
+    const yearIndex = standaloneYear ? standaloneYear.index + standaloneYear[1].length : -1;
+    if (yearIndex > 0 && isPlausibleYear(Number(standaloneYear[2]))) {
+      year = Number(standaloneYear[2]);
+      cutAt = Math.min(cutAt, yearIndex);
+    }
+  }
+
+  const cleaned = text
+    .slice(0, cutAt)
+    .replace(/\s+/g, ' ')
+    .replace(/[\s:;,|–—-]+$/, '')
+    .trim();
+
+  return {
+    // Never turn a query into nothing
+    query: cleaned || rawQuery.trim(),
+    year,
+    type
+  };
+}
+
+/**
+ * Move results matching the parsed year and type to the front, keeping API order otherwise
+ */
+function rankResults(results, { year, type }) {
+  if (!year && !type) return results;
+
+  return results
+    .map((movie, index) => {
+      let score = 0;
+      if (year && movie.year) {
+        const diff = Math.abs(Number(movie.year) - year);
+        score += diff === 0 ? 2 : diff === 1 ? 1 : 0;
+      }
+      if (type && movie.type === type) {
+        score += 1;
+      }
+      return { movie, index, score };
+    })
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .map(entry => entry.movie);
+}
+
+// ============================================================================
+// Transliteration (Indic scripts -> Latin, offline)
+// ============================================================================
+
+/*
+ * Devanagari, Bengali and Tamil share the ISCII-derived block layout, so one
+ * table indexed by the offset from each block's start covers all three.
+ */
+const INDIC_SCRIPTS = [
+  { name: 'devanagari', start: 0x0900, dropsSchwa: true },
+  { name: 'bengali', start: 0x0980, dropsSchwa: true },
+  { name: 'tamil', start: 0x0B80, dropsSchwa: false, voicesStops: true }
+];
+
+const INDIC_SCRIPT_PATTERN = /[ऀ-৿஀-௿]/;
+
+// Independent vowels and vowel signs share keys; long vowels are spelled per scheme
+const INDIC_VOWELS = {
+  0x05: 'a', 0x06: 'aa', 0x07: 'i', 0x08: 'ii', 0x09: 'u', 0x0A: 'uu', 0x0B: 'ri',
+  0x0D: 'e', 0x0E: 'e', 0x0F: 'e', 0x10: 'ai', 0x11: 'o', 0x12: 'o', 0x13: 'o', 0x14: 'au'
+};
+
+const INDIC_VOWEL_SIGNS = {
+  0x3E: 'aa', 0x3F: 'i', 0x40: 'ii', 0x41: 'u', 0x42: 'uu', 0x43: 'ri',
+  0x45: 'e', 0x46: 'e', 0x47: 'e', 0x48: 'ai', 0x49: 'o', 0x4A: 'o', 0x4B: 'o', 0x4C: 'au',
+  0x57: 'au'
+};
+
+const INDIC_CONSONANTS = {
+  0x15: 'k', 0x16: 'kh', 0x17: 'g', 0x18: 'gh', 0x19: 'ng',
+  0x1A: 'ch', 0x1B: 'chh', 0x1C: 'j', 0x1D: 'jh', 0x1E: 'ny',
+  0x1F: 't', 0x20: 'th', 0x21: 'd', 0x22: 'dh', 0x23: 'n',
+  0x24: 't', 0x25: 'th', 0x26: 'd', 0x27: 'dh', 0x28: 'n', 0x29: 'n',
+  0x2A: 'p', 0x2B: 'ph', 0x2C: 'b', 0x2D: 'bh', 0x2E: 'm',
+  0x2F: 'y', 0x30: 'r', 0x31: 'r', 0x32: 'l', 0x33: 'l', 0x34: 'zh', 0x35: 'v',
+  0x36: 'sh', 0x37: 'sh', 0x38: 's', 0x39: 'h',
+  0x4E: 't', // Bengali khanda ta
+  0x58: 'q', 0x59: 'kh', 0x5A: 'gh', 0x5B: 'z', 0x5C: 'r', 0x5D: 'rh', 0x5E: 'f', 0x5F: 'y'
+};
+
+// Consonants a nukta turns into another sound (Urdu/Persian loans, flapped r)
+const INDIC_NUKTA_CONSONANTS = {
+  0x15: 'q', 0x16: 'kh', 0x17: 'gh', 0x1C: 'z', 0x21: 'r', 0x22: 'rh', 0x2B: 'f', 0x2F: 'y'
+};
+
+// Tamil writes one letter for k/g, ch/j/s, t/d and p/b; the sound depends on position
+const TAMIL_VOICED_STOPS = {
+  afterNasal: { 0x15: 'g', 0x1A: 'j', 0x1F: 'd', 0x24: 'd', 0x2A: 'b' },
+  betweenVowels: { 0x15: 'g', 0x1A: 's', 0x1F: 'd', 0x24: 'd', 0x2A: 'b' }
+};
+
+const INDIC_NASALS = [0x19, 0x1E, 0x23, 0x28, 0x29, 0x2E];
+
+const INDIC_SIGNS = {
+  NASAL: [0x01, 0x02], // candrabindu, anusvara
+  VISARGA: 0x03,
+  NUKTA: 0x3C,
+  VIRAMA: 0x4D,
+  DIGITS: 0x66
+};
+
+// Spelling schemes, most common first: "jawan" vs "jaavan"/"deewana", and
+// "bahubali" where dropping every unwritten "a" goes too far ("bahubli")
+const TRANSLITERATION_SCHEMES = [
+  { long: { aa: 'a', ii: 'i', uu: 'u' }, v: 'v', medialSchwa: true },
+  { long: { aa: 'a', ii: 'i', uu: 'u' }, v: 'v', medialSchwa: false },
+  { long: { aa: 'a', ii: 'i', uu: 'u' }, v: 'w', medialSchwa: true },
+  { long: { aa: 'aa', ii: 'ee', uu: 'oo' }, v: 'v', medialSchwa: true }
+];
+
+/**
+ * Check whether text contains Devanagari, Bengali or Tamil characters
+ */
+function hasIndicScript(text) {
+  return INDIC_SCRIPT_PATTERN.test(text || '');
+}
+
+function getIndicScript(code) {
+  return INDIC_SCRIPTS.find(script => code >= script.start && code < script.start + 0x80) || null;
+}
+
+/**
+ * Split one Indic-script word into syllables: { consonants: [..], vowel, inherent, coda }
+ */
+function parseIndicSyllables(word, script) {
+  const syllables = [];
+  let cluster = [];
+
+  const last = () => syllables[syllables.length - 1];
+
+  for (const char of word) {
+    const offset = char.codePointAt(0) - script.start;
+
+    if (INDIC_CONSONANTS[offset]) {
+      cluster.push(offset);
+      syllables.push({ consonants: cluster, vowel: 'a', inherent: true, coda: '' });
+      cluster = [];
+    } else if (offset === INDIC_SIGNS.VIRAMA && last()?.inherent) {
+      // Consonant without a vowel: joins the next consonant, or closes the word
+      const syllable = syllables.pop();
+      cluster = syllable.consonants;
+    } else if (offset === INDIC_SIGNS.NUKTA && last()) {
+      const consonants = last().consonants;
+      const base = consonants[consonants.length - 1];
+      if (INDIC_NUKTA_CONSONANTS[base]) {
+        consonants[consonants.length - 1] = { nukta: INDIC_NUKTA_CONSONANTS[base] };
+      }
+    } else if (INDIC_VOWEL_SIGNS[offset] && last()?.inherent) {
+      Object.assign(last(), { vowel: INDIC_VOWEL_SIGNS[offset], inherent: false });
+    } else if (INDIC_VOWELS[offset]) {
+      syllables.push({ consonants: [], vowel: INDIC_VOWELS[offset], inherent: false, coda: '' });
+    } else if (INDIC_SIGNS.NASAL.includes(offset) && last()) {
+      Object.assign(last(), { coda: 'n', inherent: false });
+    } else if (offset === INDIC_SIGNS.VISARGA && last()) {
+      Object.assign(last(), { coda: 'h', inherent: false });
+    } else if (offset >= INDIC_SIGNS.DIGITS && offset < INDIC_SIGNS.DIGITS + 10) {
+      syllables.push({ consonants: [], vowel: '', inherent: false, coda: String(offset - INDIC_SIGNS.DIGITS) });
+    }
+  }
+
+  // Trailing virama (common in Tamil): a final consonant with no vowel
+  if (cluster.length > 0) {
+    syllables.push({ consonants: cluster, vowel: '', inherent: false, coda: '' });
+  }
+
+  return syllables;
+}
+
+/**
+ * Hindi/Bengali drop most unwritten "a" sounds: कमल is "kamal", सलमान is "salman"
+ */
+function deleteSchwas(syllables, { medial = true } = {}) {
+  const result = syllables.map(syllable => ({ ...syllable }));
+  const last = result[result.length - 1];
+
+  if (result.length > 1 && last.inherent) {
+    last.vowel = '';
+  }
+
+  // V C(a) C V -> V C C V, scanning right to left
+  for (let i = result.length - 2; medial && i > 0; i--) {
+    const current = result[i];
+    const next = result[i + 1];
+    const previous = result[i - 1];
+
+    if (current.inherent && current.consonants.length === 1 &&
+        next.consonants.length > 0 && next.vowel && previous.vowel) {
+      current.vowel = '';
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Spell one consonant; previous is the consonant before it in the cluster,
+ * 'vowel' when a vowel comes right before, or null at the start of the word
+ */
+function spellConsonant(consonant, previous, cluster, scheme, script) {
+  if (consonant.nukta) return consonant.nukta;
+
+  if (script.voicesStops && previous !== null) {
+    if (INDIC_NASALS.includes(previous) && TAMIL_VOICED_STOPS.afterNasal[consonant]) {
+      return TAMIL_VOICED_STOPS.afterNasal[consonant];
+    }
+    if (previous === 'vowel' && cluster.length === 1 && TAMIL_VOICED_STOPS.betweenVowels[consonant]) {
+      return TAMIL_VOICED_STOPS.betweenVowels[consonant];
+    }
+  }
+
+  const sound = INDIC_CONSONANTS[consonant];
+  return sound === 'v' ? scheme.v : sound;
+}
+
+/**
+ * Spell parsed syllables in Latin letters using one scheme
+ */
+function spellSyllables(syllables, scheme, script) {
+  return syllables.map((syllable, index) => {
+    const before = syllables[index - 1];
+    const consonants = syllable.consonants.map((consonant, position) => {
+      const previous = position > 0
+        ? syllable.consonants[position - 1]
+        : (before?.vowel && !before.coda ? 'vowel' : null);
+      return spellConsonant(consonant, previous, syllable.consonants, scheme, script);
+    }).join('');
+    const vowel = scheme.long[syllable.vowel] ?? syllable.vowel;
+
+    // Anusvara before p/b/m sounds like "m": "ambar", not "anbar"
+    let coda = syllable.coda;
+    const nextConsonant = syllables[index + 1]?.consonants[0];
+    if (coda === 'n' && nextConsonant >= 0x2A && nextConsonant <= 0x2E) {
+      coda = 'm';
+    }
+
+    return consonants + vowel + coda;
+  }).join('');
+}
+
+/**
+ * Transliterate text to its common Latin spellings (most common first).
+ * Non-Indic words pass through unchanged. Returns [] when there's nothing to do.
+ */
+function transliterate(text) {
+  if (!hasIndicScript(text)) return [];
+
+  // NFC keeps two-part vowel signs (Tamil ொ, Bengali ো) as single characters
+  const words = text.normalize('NFC').split(/(\s+)/);
+
+  const spellings = TRANSLITERATION_SCHEMES.map(scheme => words.map(word => {
+    const script = getIndicScript(word.codePointAt(0));
+    if (!script) return word;
+
+    const syllables = parseIndicSyllables(word, script);
+    const spoken = script.dropsSchwa ? deleteSchwas(syllables, { medial: scheme.medialSchwa }) : syllables;
+    return spellSyllables(spoken, scheme, script);
+  }).join('').replace(/\s+/g, ' ').trim());
+
+  return [...new Set(spellings)].filter(Boolean);
+}
+
+/**
+ * Search an Indic-script query as written and under its Latin spellings,
+ * merging the first page of each and de-duplicating by slug
+ */
+async function searchTransliterated(query, spellings, signal = null) {
+  const queries = [query, ...spellings.slice(0, TRANSLITERATION_LIMIT)];
+  const responses = await Promise.all(queries.map(spelling => searchFirstPage(spelling, signal)));
+  const successful = responses.filter(response => response.success);
+
+  if (successful.length === 0) {
+    return responses[0];
+  }
+
+  const seen = new Set();
+  const results = [];
+  for (const response of successful) {
+    for (const movie of response.results || []) {
+      if (!seen.has(movie.slug)) {
+        seen.add(movie.slug);
+        results.push(movie);
+      }
+    }
+  }
+
+  return {
+    ...successful[0],
+    results,
+    pagination: null
+  };
+}
+
+// ============================================================================
+// "Did You Mean" Fallbacks
+// ============================================================================
+
+const ROMAN_TO_ARABIC = {
+  i: '1', ii: '2', iii: '3', iv: '4', v: '5',
+  vi: '6', vii: '7', viii: '8', ix: '9', x: '10'
+};
+
+const ARABIC_TO_ROMAN = Object.fromEntries(
+  Object.entries(ROMAN_TO_ARABIC).map(([roman, arabic]) => [arabic, roman])
+);
+
+// Timestamps of recent variant searches, for rate limiting
+const fallbackAttempts = [];
+
+/**
+ * Build alternative spellings of a query that found nothing, most specific first
+ */
+function getQueryVariants(query) {
+  const variants = [];
+  const words = query.split(' ');
+
+  // "the dark knight" -> "dark knight"
+  if (/^(the|a|an)\s+\S/.test(query)) {
+    variants.push(query.replace(/^(the|a|an)\s+/, ''));
+  }
+
+  // "rocky ii" <-> "rocky 2" (never the first word: "i am kalam", "3 idiots")
+  const swapped = words.map((word, index) => {
+    if (index === 0) return word;
+    return ROMAN_TO_ARABIC[word] || ARABIC_TO_ROMAN[word] || word;
+  }).join(' ');
+  variants.push(swapped);
+
+  // "dune: part two" -> "dune"
+  variants.push(query.split(/\s*:\s*|\s+[-–—]\s+/)[0]);
+
+  // "pushpa the rise" -> "pushpa the"
+  if (words.length > 1) {
+    variants.push(words.slice(0, -1).join(' '));
+  }
+
+  return [...new Set(variants.map(variant => variant.trim()))]
+    .filter(variant => variant.length > 1 && variant !== query);
+}
+
+/**
+ * Reserve a slot for a variant search, or return false when over the rate limit
+ */
+function takeFallbackSlot() {
+  const now = Date.now();
+  while (fallbackAttempts.length > 0 && now - fallbackAttempts[0] > FALLBACK_LIMITS.windowMs) {
+    fallbackAttempts.shift();
+  }
+
+  if (fallbackAttempts.length >= FALLBACK_LIMITS.maxPerWindow) {
+    return false;
+  }
+
+  fallbackAttempts.push(now);
+  return true;
+}
+
+/**
+ * Search page 1 of a query through the cache
+ */
+function searchFirstPage(query, signal = null) {
+  return requestWithCache('searchResults', {
+    type: 'SEARCH',
+    query,
+    page: 1,
+    signal
+  }, query, 1);
+}
+
+/**
+ * Try variants of a zero-result query until one finds something.
+ * Returns { query, response } or null. Outcomes (including "nothing found")
+ * are cached so the same bad query doesn't trigger the variants again.
+ */
+async function searchQueryVariants(query, signal = null) {
+  const cachedOutcome = await cacheManager.get('queryFallbacks', query);
+  if (cachedOutcome !== null) {
+    if (!cachedOutcome.query) return null;
+    const response = await searchFirstPage(cachedOutcome.query, signal);
+    return response.success && response.results?.length ? { query: cachedOutcome.query, response } : null;
+  }
+
+  for (const variant of getQueryVariants(query).slice(0, FALLBACK_LIMITS.maxVariants)) {
+    // Rate limited, failing or cancelled: give up without caching, so a later search can retry
+    if (signal?.aborted || !takeFallbackSlot()) return null;
+
+    const response = await searchFirstPage(variant, signal);
+    if (!response.success) return null;
+
+    if (response.results?.length) {
+      await cacheManager.set('queryFallbacks', { query: variant }, query);
+      return { query: variant, response };
+    }
+  }
+
+  await cacheManager.set('queryFallbacks', { query: null }, query);
+  return null;
+}
+
+// ============================================================================
+// Title Matching
+// ============================================================================
+
+/**
+ * Reduce a title to lowercase alphanumeric words for comparison
+ */
+function normalizeTitle(title) {
+  return String(title || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+/**
+ * Word-overlap similarity of two titles, from 0 to 1
+ */
+function titleSimilarity(a, b) {
+  const x = normalizeTitle(a);
+  const y = normalizeTitle(b);
+  if (!x || !y) return 0;
+  if (x === y) return 1;
+
+  const wordsX = new Set(x.split(' '));
+  const wordsY = new Set(y.split(' '));
+  let shared = 0;
+  for (const word of wordsX) {
+    if (wordsY.has(word)) shared++;
+  }
+
+  return shared / (wordsX.size + wordsY.size - shared);
+}
+
+/**
+ * Score how well a search result matches a wanted title/year/type, from 0 to 1
+ */
+function scoreMatch(movie, { title, year, type }) {
+  let score = titleSimilarity(movie.title, title);
+
+  if (year && movie.year) {
+    const diff = Math.abs(Number(movie.year) - Number(year));
+    score = score * 0.75 + (diff === 0 ? 0.25 : diff === 1 ? 0.1 : 0);
+  }
+
+  if (type && movie.type && movie.type !== type) {
+    score *= 0.9;
+  }
+
+  return score;
+}
+
+/**
+ * Pick the best-scoring result for a wanted title.
+ * Returns { movie, confidence } or null if there are no results.
+ */
+function findBestMatch(results, target) {
+  let best = null;
+
+  for (const movie of results) {
+    const confidence = scoreMatch(movie, target);
+    if (!best || confidence > best.confidence) {
+      best = { movie, confidence };
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Best match for a title; Indic-script titles are compared by their Latin spellings too
+ */
+function findBestTitleMatch(results, { title, year, type }) {
+  return [title, ...transliterate(title)]
+    .map(candidate => findBestMatch(results, { title: candidate, year, type }))
+    .filter(Boolean)
+    .sort((a, b) => b.confidence - a.confidence)[0] || null;
+}
+
+/**
+ * Search results don't always carry a rating; fill it in from (cached) details
+ */
+async function withRating(movie) {
+  if (movie.rating !== null && movie.rating !== undefined) {
+    return movie;
+  }
+
+  const details = await handleGetMovieDetails(movie.id);
+  if (details.success && details.data) {
+    return { ...movie, rating: details.data.rating, ratingCount: details.data.ratingCount };
+  }
+  return movie;
+}
+
+// ============================================================================
+// Message Handlers
+// ============================================================================
+
+/**
+ * Check if user is logged in on Moctale
+ */
+async function handleCheckSession() {
+  // Check cache first
+  const cachedSession = await cacheManager.get('sessionState', 'status');
+  if (cachedSession !== null) {
+    return cachedSession;
+  }
+
+  return requestShared('sessionState', { type: 'CHECK_AUTH' }, 'status');
+}
+
+/**
+ * Search for movies (one page at a time, each page cached separately).
+ * With cleanQuery (text taken from a page, not typed), the query is cleaned up
+ * first and results matching its year/type rank first; typed queries are searched as-is.
+ * Indic-script queries are also searched under their Latin spellings. When page 1
+ * finds nothing, close variants of the query are tried unless noFallback is set.
+ * Aborting the signal cancels whatever requests are still running.
+ */
+async function handleSearchMovies(query, page = 1, {
+  cleanQuery = false,
+  ignoreYear = false,
+  noFallback = false,
+  signal = null
+} = {}) {
+  if (!query || query.trim().length === 0) {
+    return {
+      success: false,
+      error: 'INVALID_QUERY',
+      message: 'Please enter a search term'
+    };
+  }
+
+  const parsed = cleanQuery
+    ? parseQuery(query, { ignoreYear })
+    : { query: query.trim(), year: null, type: null };
+  const normalizedQuery = parsed.query.toLowerCase();
+  const pageNumber = Math.max(1, parseInt(page, 10) || 1);
+
+  const spellings = transliterate(normalizedQuery);
+  if (spellings.length > 0 && pageNumber === 1) {
+    const merged = await searchTransliterated(normalizedQuery, spellings, signal);
+    if (!merged.success) {
+      return merged;
+    }
+
+    return {
+      ...merged,
+      results: rankResults(merged.results || [], parsed),
+      parsed,
+      transliterated: spellings.slice(0, TRANSLITERATION_LIMIT)
+    };
+  }
+
+  const response = await requestWithCache('searchResults', {
+    type: 'SEARCH',
+    query: normalizedQuery,
+    page: pageNumber,
+    signal
+  }, normalizedQuery, pageNumber);
+
+  if (!response.success) {
+    return response;
+  }
+
+  if (pageNumber === 1 && !noFallback && (response.results || []).length === 0) {
+    const fallback = await searchQueryVariants(normalizedQuery, signal);
+
+    if (fallback) {
+      return {
+        ...fallback.response,
+        results: rankResults(fallback.response.results || [], parsed),
+        parsed,
+        fallback: {
+          originalQuery: query.trim(),
+          query: fallback.query
+        }
+      };
+    }
+  }
+
+  return {
+    ...response,
+    results: rankResults(response.results || [], parsed),
+    parsed
+  };
+}
+
+// Searches the popup can still cancel, by the request ID it sent
+const cancellableSearches = new Map();
+
+/**
+ * Run a search that a later CANCEL_SEARCH with the same request ID can abort
+ */
+async function runCancellableSearch(requestId, search) {
+  if (!requestId) {
+    return search(null);
+  }
+
+  const controller = new AbortController();
+  cancellableSearches.set(requestId, controller);
+
+  try {
+    return await search(controller.signal);
+  } finally {
+    cancellableSearches.delete(requestId);
+  }
+}
+
+/**
+ * Cancel a search the popup no longer needs (the user kept typing)
+ */
+function handleCancelSearch(requestId) {
+  cancellableSearches.get(requestId)?.abort();
+  return { success: true };
+}
+
+/**
+ * Get details for a specific movie
+ */
+async function handleGetMovieDetails(movieId) {
+  if (!movieId) {
+    return {
+      success: false,
+      error: 'INVALID_ID',
+      message: 'Movie ID is required'
+    };
+  }
+
+  return requestWithCache('movieDetails', {
+    type: 'GET_DETAILS',
+    movieId
+  }, movieId);
+}
+
+/**
+ * Drop cached data that shows a title's user-specific state
+ */
+async function invalidateTitleCache(movieId) {
+  await cacheManager.delete('movieDetails', movieId);
+  await cacheManager.deleteMatching('searchResults', data =>
+    (data.results || []).some(movie => movie.id === movieId)
+  );
+}
+
+/**
+ * Submit or change the user's rating for a title
+ */
+async function handleRateTitle(movieId, rating) {
+  const value = Number(rating);
+
+  if (!movieId || rating === null || rating === undefined ||
+      !Number.isInteger(value) || value < RATING_RANGE.min || value > RATING_RANGE.max) {
+    return {
+      success: false,
+      error: 'INVALID_RATING',
+      message: `Movie ID and a whole-number rating from ${RATING_RANGE.min} to ${RATING_RANGE.max} are required`
+    };
+  }
+
+  const response = await requestMoctale({ type: 'RATE', movieId, rating: value });
+
+  if (response.success) {
+    await invalidateTitleCache(movieId);
+  }
+
+  return response;
+}
+
+/**
+ * Mark a title as watched, want-to-watch or dropped
+ */
+async function handleSetWatchStatus(movieId, status) {
+  if (!movieId || !WATCH_STATUSES.includes(status)) {
+    return {
+      success: false,
+      error: 'INVALID_STATUS',
+      message: `Status must be one of: ${WATCH_STATUSES.join(', ')}`
+    };
+  }
+
+  const response = await requestMoctale({ type: 'SET_STATUS', movieId, status });
+
+  if (response.success) {
+    await invalidateTitleCache(movieId);
+  }
+
+  return response;
+}
+
+/**
+ * Find the Moctale title matching a title seen on another site.
+ * Matches (and misses) are cached for hours so page views don't hit the API.
+ */
+async function handleLookupTitle(title, year, type) {
+  if (!title || !title.trim()) {
+    return {
+      success: false,
+      error: 'INVALID_QUERY',
+      message: 'Title is required'
+    };
+  }
+
+  const cacheArgs = [normalizeTitle(title), year || '', type || ''];
+  const cachedMatch = await cacheManager.get('titleMatches', ...cacheArgs);
+  if (cachedMatch !== null) {
+    return { ...cachedMatch, cached: true };
+  }
+
+  const search = await handleSearchMovies(title, 1, { cleanQuery: true });
+  if (!search.success) {
+    return search;
+  }
+
+  const best = findBestTitleMatch(search.results || [], { title, year, type });
+  if (!best || best.confidence < MIN_MATCH_CONFIDENCE) {
+    const noMatch = { success: true, match: null };
+    await cacheManager.set('titleMatches', noMatch, ...cacheArgs);
+    return noMatch;
+  }
+
+  const movie = await withRating(best.movie);
+
+  const response = {
+    success: true,
+    confidence: best.confidence,
+    match: {
+      id: movie.id,
+      title: movie.title,
+      year: movie.year,
+      type: movie.type,
+      rating: movie.rating,
+      ratingCount: movie.ratingCount,
+      url: getContentUrl(movie)
+    }
+  };
+
+  await cacheManager.set('titleMatches', response, ...cacheArgs);
+  return response;
+}
+
+/**
+ * Resolve one title from a bulk list or import to its best match. Unlike LOOKUP_TITLE,
+ * weak matches are kept (with their confidence) along with the top results,
+ * so the caller can flag them and let the user pick the right one.
+ * A known year (e.g. from a CSV column) is matched as given rather than parsed from the title.
+ */
+async function handleResolveTitle(title, { year = null, type = null } = {}) {
+  if (!title || !title.trim()) {
+    return {
+      success: false,
+      error: 'INVALID_QUERY',
+      message: 'Title is required'
+    };
+  }
+
+  // "1917" or "2012" is the title itself when the year comes separately
+  const search = await handleSearchMovies(title, 1, { cleanQuery: true, ignoreYear: Boolean(year) });
+  if (!search.success) {
+    return search;
+  }
+
+  const results = search.results || [];
+  const best = findBestTitleMatch(results, {
+    title: search.parsed.query,
+    year: year || search.parsed.year,
+    type: type || search.parsed.type
+  });
+
+  return {
+    success: true,
+    match: best ? await withRating(best.movie) : null,
+    confidence: best ? best.confidence : 0,
+    candidates: results.slice(0, BULK_CANDIDATE_LIMIT)
+  };
+}
+
+/**
+ * Open Moctale login page
  */
 async function handleOpenLogin() {
   await chrome.tabs.create({ url: 'https://www.moctale.in/login' });
@@ -263,35 +2205,157 @@ async function handleOpenMoctale() {
     await chrome.tabs.create({ url: 'https://www.moctale.in/' });
   }
 
-  return { success: true };
+  return { success: true };
+}
+
+/**
+ * Get pending search from context menu
+ */
+async function handleGetPendingSearch() {
+  await settingsReady;
+  const result = await chrome.storage.local.get('pendingSearch');
+  const pendingSearch = result.pendingSearch;
+
+  if (pendingSearch) {
+    // Check if pending search is not too old
+    const age = Date.now() - pendingSearch.timestamp;
+    if (age < settings.pendingSearchExpiryMinutes * 60 * 1000) {
+      return {
+        success: true,
+        query: pendingSearch.query,
+        bulk: pendingSearch.bulk === true
+      };
+    }
+  }
+
+  return { success: false };
+}
+
+/**
+ * Clear pending search after it's been used
+ */
+async function handleClearPendingSearch() {
+  await chrome.storage.local.remove('pendingSearch');
+  return { success: true };
+}
+
+/**
+ * Get search history, most recent first.
+ * Entries look like { query, timestamp, title } where title is the last
+ * result opened for that query ({ id, title, year, type, poster, url }) or null.
+ */
+async function handleGetSearchHistory() {
+  const { searchHistory = [] } = await chrome.storage.local.get('searchHistory');
+  return { success: true, history: searchHistory };
+}
+
+/**
+ * Record a query (and optionally the title opened from it) in search history
+ */
+async function handleAddSearchHistory(query, title) {
+  const trimmedQuery = (query || '').trim();
+  if (!trimmedQuery) {
+    return {
+      success: false,
+      error: 'INVALID_QUERY',
+      message: 'Please enter a search term'
+    };
+  }
+
+  const { searchHistory = [] } = await chrome.storage.local.get('searchHistory');
+  const key = trimmedQuery.toLowerCase();
+  const existing = searchHistory.find(entry => entry.query.toLowerCase() === key);
+
+  const entry = {
+    query: trimmedQuery,
+    timestamp: Date.now(),
+    title: title
+      ? {
+        id: title.id,
+        title: title.title,
+        year: title.year || null,
+        type: title.type || null,
+        poster: title.poster || null,
+        url: title.url || null
+      }
+      : existing?.title || null
+  };
+
+  const history = [entry, ...searchHistory.filter(item => item !== existing)]
+    .slice(0, SEARCH_HISTORY_LIMIT);
+
+  await chrome.storage.local.set({ searchHistory: history });
+  return { success: true, history };
 }
 
 /**
- * Get pending search from context menu
+ * Remove one query from search history
  */
-async function handleGetPendingSearch() {
-  const result = await chrome.storage.local.get('pendingSearch');
-  const pendingSearch = result.pendingSearch;
+async function handleRemoveSearchHistory(query) {
+  const key = (query || '').trim().toLowerCase();
+  const { searchHistory = [] } = await chrome.storage.local.get('searchHistory');
+  const history = searchHistory.filter(entry => entry.query.toLowerCase() !== key);
 
-  if (pendingSearch) {
-    // Check if pending search is not too old (5 minutes max)
-    const age = Date.now() - pendingSearch.timestamp;
-    if (age < 5 * 60 * 1000) {
-      return {
-        success: true,
-        query: pendingSearch.query
-      };
+  await chrome.storage.local.set({ searchHistory: history });
+  return { success: true, history };
+}
+
+/**
+ * Clear all search history
+ */
+async function handleClearSearchHistory() {
+  await chrome.storage.local.remove('searchHistory');
+  return { success: true, history: [] };
+}
+
+/**
+ * Store a query for the popup to pick up when it opens
+ */
+async function setPendingSearch(query, { bulk = false } = {}) {
+  await chrome.storage.local.set({
+    pendingSearch: {
+      query,
+      bulk,
+      timestamp: Date.now()
     }
-  }
+  });
+}
 
-  return { success: false };
+/**
+ * Open popup.html as a standalone window
+ */
+async function openPopupWindow() {
+  await settingsReady;
+  await chrome.windows.create({
+    url: chrome.runtime.getURL('popup/popup.html'),
+    type: 'popup',
+    width: settings.popupWindow.width,
+    height: settings.popupWindow.height,
+    focused: true
+  });
 }
 
 /**
- * Clear pending search after it's been used
+ * Open the full popup with a query from the floating card
  */
-async function handleClearPendingSearch() {
-  await chrome.storage.local.remove('pendingSearch');
+async function handleOpenFullPopup(query) {
+  if (!query || !query.trim()) {
+    return {
+      success: false,
+      error: 'INVALID_QUERY',
+      message: 'Please enter a search term'
+    };
+  }
+
+  await setPendingSearch(query.trim());
+
+  try {
+    await chrome.action.openPopup();
+  } catch (e) {
+    // openPopup needs a focused normal window; fall back to a popup window
+    await openPopupWindow();
+  }
+
   return { success: true };
 }
 
@@ -313,7 +2377,18 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
           break;
 
         case MESSAGE_TYPES.SEARCH_MOVIES:
-          response = await handleSearchMovies(data.query);
+          response = await runCancellableSearch(data.requestId, signal =>
+            handleSearchMovies(data.query, data.page, {
+              cleanQuery: data.cleanQuery,
+              ignoreYear: data.ignoreYear,
+              noFallback: data.noFallback,
+              signal
+            })
+          );
+          break;
+
+        case MESSAGE_TYPES.CANCEL_SEARCH:
+          response = handleCancelSearch(data.requestId);
           break;
 
         case MESSAGE_TYPES.GET_MOVIE_DETAILS:
@@ -336,6 +2411,55 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
           response = await handleClearPendingSearch();
           break;
 
+        case MESSAGE_TYPES.LOOKUP_TITLE:
+          response = await handleLookupTitle(data.title, data.year, data.mediaType);
+          if (sender.tab && response.success) {
+            await rememberPageTitle(sender.tab, response.match);
+          }
+          break;
+
+        case MESSAGE_TYPES.RESOLVE_TITLE:
+          response = await handleResolveTitle(data.title, { year: data.year, type: data.mediaType });
+          break;
+
+        case MESSAGE_TYPES.GET_SEARCH_HISTORY:
+          response = await handleGetSearchHistory();
+          break;
+
+        case MESSAGE_TYPES.ADD_SEARCH_HISTORY:
+          response = await handleAddSearchHistory(data.query, data.title);
+          break;
+
+        case MESSAGE_TYPES.REMOVE_SEARCH_HISTORY:
+          response = await handleRemoveSearchHistory(data.query);
+          break;
+
+        case MESSAGE_TYPES.CLEAR_SEARCH_HISTORY:
+          response = await handleClearSearchHistory();
+          break;
+
+        case MESSAGE_TYPES.CONTENT_SCRIPT_READY:
+          response = sender.tab && sender.frameId === 0
+            ? handleContentScriptReady(sender.tab.id, data.version)
+            : { success: true };
+          break;
+
+        case MESSAGE_TYPES.RATE_TITLE:
+          response = await handleRateTitle(data.movieId, data.rating);
+          break;
+
+        case MESSAGE_TYPES.SET_WATCH_STATUS:
+          response = await handleSetWatchStatus(data.movieId, data.status);
+          break;
+
+        case MESSAGE_TYPES.OPEN_FULL_POPUP:
+          response = await handleOpenFullPopup(data.query);
+          break;
+
+        case MESSAGE_TYPES.GET_CACHE_STATS:
+          response = { success: true, stats: await cacheManager.getStats() };
+          break;
+
         default:
           response = {
             success: false,
@@ -359,6 +2483,381 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   return true;
 });
 
+// ============================================================================
+// Omnibox ("mt <title>")
+// ============================================================================
+
+const OMNIBOX_MAX_SUGGESTIONS = 5;
+const OMNIBOX_DEBOUNCE_DELAY = 200;
+
+// Incremented on every keystroke so slow lookups for old input are dropped
+let omniboxInputId = 0;
+
+/**
+ * Escape text for omnibox suggestion XML
+ */
+function escapeOmniboxXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Build the Moctale page URL for a search result
+ */
+function getContentUrl(movie) {
+  return `${API.baseUrl}/content/${encodeURIComponent(movie.slug)}`;
+}
+
+/**
+ * Build an omnibox suggestion from a search result
+ */
+function toOmniboxSuggestion(movie) {
+  const details = [
+    movie.year,
+    movie.type === 'series' ? 'Series' : 'Movie',
+    movie.rating ? `★ ${Number(movie.rating).toFixed(1)}` : null
+  ].filter(Boolean).join(' · ');
+
+  return {
+    content: getContentUrl(movie),
+    description: `<match>${escapeOmniboxXml(movie.title)}</match>` +
+      (details ? ` <dim>${escapeOmniboxXml(details)}</dim>` : '')
+  };
+}
+
+/**
+ * Open a URL according to the omnibox disposition
+ */
+async function openWithDisposition(url, disposition) {
+  switch (disposition) {
+    case 'newForegroundTab':
+      await chrome.tabs.create({ url });
+      break;
+    case 'newBackgroundTab':
+      await chrome.tabs.create({ url, active: false });
+      break;
+    default:
+      await chrome.tabs.update({ url });
+  }
+}
+
+chrome.omnibox.setDefaultSuggestion({
+  description: 'Search Moctale for <match>%s</match>'
+});
+
+chrome.omnibox.onInputChanged.addListener(async (text, suggest) => {
+  const inputId = ++omniboxInputId;
+
+  if (!text.trim()) {
+    suggest([]);
+    return;
+  }
+
+  // Wait for typing to pause; the search cache makes repeats instant anyway
+  await new Promise(resolve => setTimeout(resolve, OMNIBOX_DEBOUNCE_DELAY));
+  if (inputId !== omniboxInputId) return;
+
+  // Suggestions follow every keystroke, so skip the query variants
+  const response = await handleSearchMovies(text, 1, { noFallback: true });
+  if (inputId !== omniboxInputId || !response.success) return;
+
+  suggest((response.results || [])
+    .filter(movie => movie.slug)
+    .slice(0, OMNIBOX_MAX_SUGGESTIONS)
+    .map(toOmniboxSuggestion));
+});
+
+chrome.omnibox.onInputEntered.addListener(async (text, disposition) => {
+  // A chosen suggestion carries its Moctale URL as content
+  if (text.startsWith(`${API.baseUrl}/content/`)) {
+    await openWithDisposition(text, disposition);
+    return;
+  }
+
+  // Plain text: open the best match, or Moctale itself if nothing matched
+  const response = await handleSearchMovies(text);
+  const topResult = response.success ? response.results?.find(movie => movie.slug) : null;
+
+  await openWithDisposition(topResult ? getContentUrl(topResult) : `${API.baseUrl}/`, disposition);
+});
+
+// ============================================================================
+// Rating Badges
+// ============================================================================
+
+/**
+ * Register the rating badge content script for each site the user enabled
+ * (and granted host permission for), and unregister it for the rest
+ */
+async function syncBadgeContentScripts() {
+  const { badgeSites = {} } = await chrome.storage.sync.get('badgeSites');
+  const registered = await chrome.scripting.getRegisteredContentScripts();
+  const registeredIds = new Set(registered.map(script => script.id));
+
+  for (const [site, config] of Object.entries(BADGE_SITES)) {
+    const id = `rating-badges-${site}`;
+    const enabled = badgeSites[site] === true &&
+      await chrome.permissions.contains({ origins: config.origins });
+
+    if (enabled && !registeredIds.has(id)) {
+      await chrome.scripting.registerContentScripts([{
+        id,
+        matches: config.matches,
+        js: ['scripts/ratingBadges.js'],
+        runAt: 'document_idle'
+      }]);
+    } else if (!enabled && registeredIds.has(id)) {
+      await chrome.scripting.unregisterContentScripts({ ids: [id] });
+    }
+  }
+}
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'sync' && changes.badgeSites) {
+    syncBadgeContentScripts().catch(error => console.error('Failed to update badge scripts:', error));
+  }
+});
+
+chrome.permissions.onRemoved.addListener(() => {
+  syncBadgeContentScripts().catch(error => console.error('Failed to update badge scripts:', error));
+});
+
+// ============================================================================
+// Session Tracking
+// ============================================================================
+
+// Cookie changes are handled one at a time, in order
+let sessionChangeQueue = Promise.resolve();
+
+function isAuthCookie(cookie) {
+  return cookie.name === AUTH_COOKIE && MOCTALE_HOST_PATTERN.test(cookie.domain.replace(/^\./, ''));
+}
+
+/**
+ * Who is logged in according to /api/me: { isLoggedIn, user } (user is null
+ * when Moctale doesn't say), or null when Moctale couldn't be asked
+ */
+async function getSessionIdentity() {
+  await cacheManager.clearType('sessionState');
+  const response = await handleCheckSession();
+  if (!response.success) return null;
+
+  return {
+    isLoggedIn: response.isLoggedIn === true,
+    user: response.isLoggedIn ? response.userId || response.username || null : null
+  };
+}
+
+/**
+ * Remember who is logged in, clearing user-specific cache if it's not who was
+ * logged in last time. Kept in chrome.storage.local like the cache itself, so
+ * an account switched while the browser was closed is noticed on startup.
+ */
+async function recordCurrentSession() {
+  const identity = await getSessionIdentity();
+  if (!identity) return;
+
+  const { sessionIdentity: previous = null } = await chrome.storage.local.get('sessionIdentity');
+  await chrome.storage.local.set({ sessionIdentity: identity });
+  if (previous && isDifferentSession(previous, identity)) {
+    await clearUserCache();
+  }
+}
+
+/**
+ * Whether two identities are different sessions. An unknown user on either
+ * side is assumed to be the same account rather than reset needlessly.
+ */
+function isDifferentSession(previous, current) {
+  if (previous.isLoggedIn !== current.isLoggedIn) return true;
+  return Boolean(previous.user && current.user && previous.user !== current.user);
+}
+
+/**
+ * Drop cached data that was fetched for the previous account. Details and
+ * search results carry the user's rating and status (or their absence), so
+ * all of them go, not just the ones with something set.
+ */
+async function clearUserCache() {
+  await cacheManager.clearType('sessionState');
+  await cacheManager.clearType('movieDetails');
+  await cacheManager.clearType('searchResults');
+}
+
+/**
+ * Ask Moctale who is logged in after the auth cookie changed. Token refreshes
+ * for the same user are ignored; on login, logout or an account switch,
+ * clear user-specific cache and tell any open popup.
+ */
+async function handleAuthCookieChange({ removed }) {
+  const identity = removed ? { isLoggedIn: false, user: null } : await getSessionIdentity();
+  if (!identity) return;
+
+  const { sessionIdentity: previous = null } = await chrome.storage.local.get('sessionIdentity');
+  await chrome.storage.local.set({ sessionIdentity: identity });
+  if (previous && !isDifferentSession(previous, identity)) return;
+
+  await clearUserCache();
+  updateActiveTabBadge();
+
+  const change = !identity.isLoggedIn ? 'logout' : previous?.isLoggedIn ? 'switch' : 'login';
+  chrome.runtime.sendMessage({ type: MESSAGE_TYPES.SESSION_CHANGED, change }).catch(() => {});
+}
+
+chrome.cookies.onChanged.addListener(changeInfo => {
+  // Replacing a cookie fires a removal first; the new value follows
+  if (!isAuthCookie(changeInfo.cookie) || (changeInfo.removed && changeInfo.cause === 'overwrite')) {
+    return;
+  }
+
+  sessionChangeQueue = sessionChangeQueue
+    .then(() => handleAuthCookieChange(changeInfo))
+    .catch(error => console.warn('Session change handling failed:', error));
+});
+
+// ============================================================================
+// Toolbar Badge
+// ============================================================================
+
+/**
+ * Slug of a moctale.in /content/{slug} page, or null
+ */
+function getMoctaleSlug(url) {
+  if (!url || !MOCTALE_ORIGINS.some(origin => url.startsWith(`${origin}/`))) return null;
+  const slug = new URL(url).pathname.match(/^\/content\/([^/]+)/)?.[1];
+  return slug ? decodeURIComponent(slug) : null;
+}
+
+function withoutHash(url) {
+  return url ? url.split('#')[0] : null;
+}
+
+function getPageTitleKey(tabId) {
+  return `pageTitle:${tabId}`;
+}
+
+/**
+ * Remember the match ratingBadges.js found for a third-party movie page
+ * (in chrome.storage.session, so it outlives the service worker)
+ */
+async function rememberPageTitle(tab, match) {
+  await chrome.storage.session.set({
+    [getPageTitleKey(tab.id)]: { url: withoutHash(tab.url), match }
+  });
+
+  if (tab.active) {
+    updateActionBadge(tab);
+  }
+}
+
+/**
+ * The Moctale title a tab shows: a moctale.in title page (details come from
+ * cache where possible) or a third-party page ratingBadges.js has matched
+ */
+async function getTabTitle(tab) {
+  const slug = getMoctaleSlug(tab.url);
+  if (slug) {
+    const response = await handleGetMovieDetails(slug);
+    return response.success ? response.data : null;
+  }
+
+  const key = getPageTitleKey(tab.id);
+  const { [key]: page } = await chrome.storage.session.get(key);
+  return page && page.url === withoutHash(tab.url) ? page.match : null;
+}
+
+// When the badge last checked whether an unreachable Moctale is back
+let lastReachabilityCheck = 0;
+
+/**
+ * Check whether Moctale is reachable again, at most once per
+ * REACHABILITY_RECHECK_INTERVAL. Only the direct API is tried, so a badge
+ * update never messages (or reloads) a Moctale tab.
+ */
+async function recheckReachability() {
+  if (Date.now() - lastReachabilityCheck < REACHABILITY_RECHECK_INTERVAL) return;
+  lastReachabilityCheck = Date.now();
+
+  const response = await requestScheduler.schedule(() => sendDirect({ type: 'CHECK_AUTH' }));
+  if (!OFFLINE_ERRORS.includes(response.error)) {
+    isMoctaleReachable = true;
+  }
+}
+
+/**
+ * Badge for a tab: a warning when Moctale can't be used, otherwise the rating
+ * of the title on the page (or nothing). While Moctale is unreachable, badge
+ * updates occasionally check again so the warning clears once it's back.
+ */
+async function getActionBadge(tab) {
+  if (!isMoctaleReachable) {
+    await recheckReachability();
+  }
+
+  if (!isMoctaleReachable) {
+    return { text: '!', color: ACTION_BADGE_COLORS.error, title: 'Can\'t connect to Moctale' };
+  }
+
+  const authCookie = await chrome.cookies.get({ url: MOCTALE_ORIGINS[0], name: AUTH_COOKIE });
+  if (!authCookie) {
+    return { text: '!', color: ACTION_BADGE_COLORS.warning, title: 'Not logged in to Moctale' };
+  }
+
+  const movie = await getTabTitle(tab);
+  const rating = Number(movie?.rating);
+  if (!movie?.rating || isNaN(rating)) {
+    return { text: '', title: null };
+  }
+
+  return {
+    text: rating.toFixed(1),
+    color: ACTION_BADGE_COLORS.rating,
+    title: `${movie.title}${movie.year ? ` (${movie.year})` : ''}: ★ ${rating.toFixed(1)} on Moctale`
+  };
+}
+
+/**
+ * Set the toolbar badge and tooltip for a tab
+ */
+async function updateActionBadge(tab) {
+  try {
+    const badge = await getActionBadge(tab);
+    await chrome.action.setBadgeText({ tabId: tab.id, text: badge.text });
+    if (badge.color) {
+      await chrome.action.setBadgeBackgroundColor({ tabId: tab.id, color: badge.color });
+    }
+    await chrome.action.setTitle({ tabId: tab.id, title: badge.title || chrome.runtime.getManifest().name });
+  } catch (error) {
+    // The tab was closed while the badge was being worked out
+  }
+}
+
+async function updateActiveTabBadge() {
+  const [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+  if (tab) {
+    await updateActionBadge(tab);
+  }
+}
+
+chrome.tabs.onActivated.addListener(({ tabId }) => {
+  chrome.tabs.get(tabId).then(updateActionBadge).catch(() => {});
+});
+
+// Navigations, including in-page ones on moctale.in
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+  if (tab.active && (changeInfo.url || changeInfo.status === 'complete')) {
+    updateActionBadge(tab);
+  }
+});
+
+chrome.tabs.onRemoved.addListener(tabId => {
+  chrome.storage.session.remove(getPageTitleKey(tabId)).catch(() => {});
+});
+
 // ============================================================================
 // Extension Lifecycle
 // ============================================================================
@@ -380,47 +2879,131 @@ function createContextMenu() {
   });
 }
 
+/**
+ * Show the floating result card in the page the selection came from.
+ * Returns false where injection isn't allowed (chrome:// pages, the Web Store, ...).
+ */
+async function showFloatingCard(tab, frameId, query) {
+  if (!tab?.id) return false;
+
+  const target = { tabId: tab.id, frameIds: [frameId || 0] };
+
+  try {
+    await chrome.scripting.executeScript({
+      target,
+      files: ['scripts/floatingCard.js']
+    });
+    await chrome.scripting.executeScript({
+      target,
+      func: (searchQuery) => window.__MOCTALE_FLOATING_CARD__.show(searchQuery),
+      args: [query]
+    });
+    return true;
+  } catch (e) {
+    console.warn('Floating card unavailable on this page:', e.message);
+    return false;
+  }
+}
+
+/**
+ * A selection spanning several non-empty lines is treated as a list of titles
+ */
+function isTitleList(text) {
+  return text.split(/\r?\n/).filter(line => line.trim()).length > 1;
+}
+
+/**
+ * Search selected text: floating card in the page, or the popup window as a fallback.
+ * Multi-line selections open the popup's bulk lookup instead.
+ */
+async function searchSelection(tab, frameId, selectedText) {
+  if (isTitleList(selectedText)) {
+    await setPendingSearch(selectedText, { bulk: true });
+    await openPopupWindow();
+    return;
+  }
+
+  if (await showFloatingCard(tab, frameId, selectedText)) {
+    return;
+  }
+
+  // Fall back to the popup as a new window (chrome.action.openPopup doesn't work from context menu)
+  await setPendingSearch(selectedText);
+  await openPopupWindow();
+}
+
 /**
  * Handle context menu click
  */
 chrome.contextMenus.onClicked.addListener(async (info, tab) => {
   if (info.menuItemId === CONTEXT_MENU_ID && info.selectionText) {
-    const selectedText = info.selectionText.trim();
+    // selectionText has its line breaks collapsed; read the selection from the page to keep them
+    const pageSelection = tab?.id ? await getTabSelection(tab.id) : null;
+    const selectedText = pageSelection?.text || info.selectionText.trim();
 
     if (selectedText) {
-      // Store the pending search query
-      await chrome.storage.local.set({
-        pendingSearch: {
-          query: selectedText,
-          timestamp: Date.now()
-        }
-      });
+      await searchSelection(tab, pageSelection?.frameId ?? info.frameId, selectedText);
+    }
+  }
+});
 
-      // Open popup as a new window (workaround since chrome.action.openPopup doesn't work from context menu)
-      const popupURL = chrome.runtime.getURL('popup/popup.html');
+// ============================================================================
+// Keyboard Shortcuts
+// ============================================================================
 
-      // Create a popup window
-      chrome.windows.create({
-        url: popupURL,
-        type: 'popup',
-        width: 400,
-        height: 520,
-        focused: true
-      });
-    }
+/**
+ * Read the selected text from any frame of a tab.
+ * Returns { text, frameId } or null when nothing is selected or the page is off-limits.
+ */
+async function getTabSelection(tabId) {
+  try {
+    const results = await chrome.scripting.executeScript({
+      target: { tabId, allFrames: true },
+      func: () => window.getSelection()?.toString() || ''
+    });
+
+    const hit = results.find(result => result.result && result.result.trim());
+    return hit ? { text: hit.result.trim(), frameId: hit.frameId } : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+chrome.commands.onCommand.addListener(async (command, tab) => {
+  if (command !== 'search-selection') return;
+
+  const activeTab = tab || (await chrome.tabs.query({ active: true, currentWindow: true }))[0];
+  const selection = activeTab?.id ? await getTabSelection(activeTab.id) : null;
+
+  if (selection) {
+    await searchSelection(activeTab, selection.frameId, selection.text);
+    return;
+  }
+
+  // Nothing selected: open the popup so the user can type instead
+  try {
+    await chrome.action.openPopup();
+  } catch (e) {
+    await openPopupWindow();
   }
 });
 
-// Clear session cache when extension starts
+// Cached results persist across restarts, unless a different account is logged in now
 chrome.runtime.onStartup.addListener(() => {
-  cacheManager.clear();
+  sessionChangeQueue = sessionChangeQueue
+    .then(recordCurrentSession)
+    .catch(error => console.warn('Failed to record session:', error));
   createContextMenu();
+  syncBadgeContentScripts().catch(error => console.error('Failed to update badge scripts:', error));
 });
 
 // Create context menu and clear cache when installed/updated
 chrome.runtime.onInstalled.addListener(() => {
-  cacheManager.clear();
+  cacheManager.clear()
+    .then(recordCurrentSession)
+    .catch(error => console.warn('Failed to record session:', error));
   createContextMenu();
+  syncBadgeContentScripts().catch(error => console.error('Failed to update badge scripts:', error));
   console.log('Moctale Extension installed/updated');
 });
 
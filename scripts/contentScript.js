@@ -4,6 +4,7 @@
  * Responsibilities:
  * - Detect authentication state
  * - Execute fetch() calls with session cookies
+ * - Submit ratings and watch status changes
  * - DOM scraping fallback
  * - CSRF token extraction if needed
  *
@@ -14,11 +15,15 @@
 (function () {
   'use strict';
 
-  // Prevent multiple injections
-  if (window.__MOCTALE_EXTENSION_INJECTED__) {
-    return;
-  }
-  window.__MOCTALE_EXTENSION_INJECTED__ = true;
+  // Extension version this copy was loaded from; background.js re-injects on a mismatch
+  const CONTENT_SCRIPT_VERSION = chrome.runtime.getManifest().version;
+
+  // The latest copy injected into the page answers; earlier ones stop (see
+  // below). background.js only injects after its PING went unanswered, so an
+  // earlier copy, even of the same version, is orphaned (e.g. the extension
+  // was reloaded) and must not keep this one from registering its listener.
+  const INSTANCE_ID = crypto.randomUUID();
+  window.__MOCTALE_EXTENSION_INJECTED__ = INSTANCE_ID;
 
   // ============================================================================
   // Configuration
@@ -38,14 +43,23 @@
     api: {
       search: '/api/search',           // GET /api/search?q={query}&page={page}
       content: '/api/content',         // GET /api/content/{slug}
-      me: '/api/me'                    // GET /api/me (for auth check)
+      me: '/api/me',                   // GET /api/me (for auth check)
+      rate: '/rate',                   // POST /api/content/{slug}/rate { rating }
+      status: '/status'                // POST /api/content/{slug}/status { status }
     },
 
+    // Watch status values accepted by the status endpoint
+    watchStatuses: ['watched', 'want_to_watch', 'dropped'],
+
+    // Ratings accepted by the rate endpoint: whole numbers (mirrors RATING_RANGE in background.js)
+    ratingRange: { min: 1, max: 10 },
+
     // Auth cookie name
     authCookie: 'auth_token',
 
-    // Request configuration
+    // Request configuration (timeout follows the requestTimeoutSeconds setting)
     request: {
+      defaultTimeout: 10000,
       timeout: 10000,
       headers: {
         'Accept': '*/*',
@@ -59,26 +73,55 @@
   // ============================================================================
 
   /**
-   * Make a fetch request with timeout
+   * Make a fetch request with timeout. options.signal aborts it early
+   * (the background cancelled a request that is no longer needed).
    */
   async function fetchWithTimeout(url, options = {}, timeout = CONFIG.request.timeout) {
+    const { signal, ...fetchOptions } = options;
     const controller = new AbortController();
     const timeoutId = setTimeout(() => controller.abort(), timeout);
 
+    const abort = () => controller.abort();
+    if (signal?.aborted) abort();
+    signal?.addEventListener('abort', abort, { once: true });
+
     try {
-      const response = await fetch(url, {
-        ...options,
+      return await fetch(url, {
+        ...fetchOptions,
         signal: controller.signal,
         credentials: 'include' // Ensure cookies are sent
       });
+    } finally {
       clearTimeout(timeoutId);
-      return response;
-    } catch (error) {
-      clearTimeout(timeoutId);
-      throw error;
+      signal?.removeEventListener('abort', abort);
     }
   }
 
+  /**
+   * Read a Retry-After header (seconds or an HTTP date) as milliseconds
+   */
+  function parseRetryAfter(value) {
+    if (!value) return null;
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+    const date = Date.parse(value);
+    return isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  /**
+   * Build the error for a 429 response; background.js backs off and retries
+   */
+  function getRateLimitedResponse(response) {
+    return {
+      success: false,
+      error: 'RATE_LIMITED',
+      message: 'Moctale is rate limiting requests. Please try again shortly.',
+      retryAfter: parseRetryAfter(response.headers.get('Retry-After'))
+    };
+  }
+
   /**
    * Extract CSRF token from the page if present
    */
@@ -277,13 +320,14 @@
    * API: GET /api/search?q={query}&page={page}
    * Response: { total_pages, current_page, next_page, previous_page, count, data: [...] }
    */
-  async function searchViaAPI(query, page = 1) {
+  async function searchViaAPI(query, page = 1, signal = null) {
     try {
       const endpoint = `${CONFIG.api.search}?q=${encodeURIComponent(query)}&page=${page}`;
 
       const response = await fetchWithTimeout(endpoint, {
         method: 'GET',
-        headers: getRequestHeaders()
+        headers: getRequestHeaders(),
+        signal
       });
 
       if (response.ok) {
@@ -306,6 +350,8 @@
             count: data.count || results.length
           }
         };
+      } else if (response.status === 429) {
+        return getRateLimitedResponse(response);
       } else if (response.status === 401 || response.status === 403) {
         return {
           success: false,
@@ -378,9 +424,9 @@
   /**
    * Main search function
    */
-  async function search(query, page = 1) {
+  async function search(query, page = 1, signal = null) {
     // Use the Moctale API directly
-    const apiResult = await searchViaAPI(query, page);
+    const apiResult = await searchViaAPI(query, page, signal);
     return apiResult;
   }
 
@@ -409,6 +455,8 @@
           method: 'api',
           data: normalizeMovieDetails(data)
         };
+      } else if (response.status === 429) {
+        return getRateLimitedResponse(response);
       } else if (response.status === 401 || response.status === 403) {
         return {
           success: false,
@@ -447,6 +495,7 @@
       cast: movie.cast || movie.actors || [],
       reviews: (movie.reviews || movie.userReviews || []).map(normalizeReview),
       userRating: movie.userRating || movie.myRating || null,
+      watchStatus: movie.watchStatus || movie.userStatus || movie.myStatus || null,
       trailer: movie.trailer || movie.trailerUrl || null,
       streamingPlatforms: movie.platforms || movie.streaming || movie.watchOn || []
     };
@@ -482,22 +531,128 @@
     return await getDetailsViaAPI(slug);
   }
 
+  // ============================================================================
+  // Ratings & Watch Status
+  // ============================================================================
+
+  /**
+   * POST to a title's write endpoint with CSRF headers
+   */
+  async function postToContent(slug, action, body) {
+    try {
+      const endpoint = `${CONFIG.api.content}/${encodeURIComponent(slug)}${action}`;
+
+      const response = await fetchWithTimeout(endpoint, {
+        method: 'POST',
+        headers: getRequestHeaders(),
+        body: JSON.stringify(body)
+      });
+
+      if (response.ok) {
+        const data = await response.json().catch(() => ({}));
+        return {
+          success: true,
+          method: 'api',
+          data
+        };
+      } else if (response.status === 429) {
+        return getRateLimitedResponse(response);
+      } else if (response.status === 401) {
+        return {
+          success: false,
+          error: 'UNAUTHORIZED',
+          message: 'Session expired. Please log in again.'
+        };
+      } else if (response.status === 403) {
+        return {
+          success: false,
+          error: 'FORBIDDEN',
+          message: 'Moctale refused the update. Reload the Moctale tab and try again.'
+        };
+      }
+
+      return {
+        success: false,
+        error: 'API_ERROR',
+        message: `Update failed with status ${response.status}`
+      };
+    } catch (error) {
+      console.warn('API update failed:', error.message);
+      return {
+        success: false,
+        error: 'NETWORK_ERROR',
+        message: error.message || 'Network error occurred'
+      };
+    }
+  }
+
+  /**
+   * Submit or change the user's rating for a title
+   */
+  async function rateTitle(slug, rating) {
+    const value = Number(rating);
+    const { min, max } = CONFIG.ratingRange;
+    if (!slug || rating === null || rating === undefined || !Number.isInteger(value) || value < min || value > max) {
+      return {
+        success: false,
+        error: 'INVALID_RATING',
+        message: `A movie slug and a whole-number rating from ${min} to ${max} are required`
+      };
+    }
+
+    return await postToContent(slug, CONFIG.api.rate, { rating: value });
+  }
+
+  /**
+   * Mark a title as watched, want-to-watch or dropped
+   */
+  async function setWatchStatus(slug, status) {
+    if (!slug || !CONFIG.watchStatuses.includes(status)) {
+      return {
+        success: false,
+        error: 'INVALID_STATUS',
+        message: `Status must be one of: ${CONFIG.watchStatuses.join(', ')}`
+      };
+    }
+
+    return await postToContent(slug, CONFIG.api.status, { status });
+  }
+
   // ============================================================================
   // Message Listener
   // ============================================================================
 
+  // Requests the background may cancel, by request ID
+  const activeRequests = new Map();
+
   chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     const { type, ...data } = message;
 
+    // A newer copy of this script was injected; let it answer
+    if (window.__MOCTALE_EXTENSION_INJECTED__ !== INSTANCE_ID) {
+      return false;
+    }
+
     // Handle ping for connection check
     if (type === 'PING') {
-      sendResponse({ pong: true });
+      sendResponse({ pong: true, version: CONTENT_SCRIPT_VERSION });
+      return true;
+    }
+
+    // Abort the fetch of a request that is no longer needed
+    if (type === 'CANCEL') {
+      activeRequests.get(data.requestId)?.abort();
+      sendResponse({ success: true });
       return true;
     }
 
     // Handle async operations
     (async () => {
       let response;
+      const controller = data.requestId ? new AbortController() : null;
+      if (controller) {
+        activeRequests.set(data.requestId, controller);
+      }
 
       try {
         switch (type) {
@@ -506,13 +661,21 @@
             break;
 
           case 'SEARCH':
-            response = await search(data.query, data.page || 1);
+            response = await search(data.query, data.page || 1, controller?.signal);
             break;
 
           case 'GET_DETAILS':
             response = await getDetails(data.slug || data.movieId);
             break;
 
+          case 'RATE':
+            response = await rateTitle(data.slug || data.movieId, data.rating);
+            break;
+
+          case 'SET_STATUS':
+            response = await setWatchStatus(data.slug || data.movieId, data.status);
+            break;
+
           default:
             response = {
               success: false,
@@ -527,6 +690,8 @@
           error: 'CONTENT_SCRIPT_ERROR',
           message: error.message || 'An unexpected error occurred'
         };
+      } finally {
+        activeRequests.delete(data.requestId);
       }
 
       sendResponse(response);
@@ -542,8 +707,28 @@
 
   console.log('[Moctale Extension] Content script loaded');
 
-  // Notify that content script is ready
-  chrome.runtime.sendMessage({ type: 'CONTENT_SCRIPT_READY' }).catch(() => {
+  /**
+   * Use the request timeout from the options page (chrome.storage.sync 'settings')
+   */
+  function applySettings(settings) {
+    const seconds = settings?.requestTimeoutSeconds;
+    CONFIG.request.timeout = typeof seconds === 'number' && seconds > 0
+      ? seconds * 1000
+      : CONFIG.request.defaultTimeout;
+  }
+
+  chrome.storage.sync.get('settings')
+    .then(({ settings }) => applySettings(settings))
+    .catch(() => {});
+
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'sync' && changes.settings) {
+      applySettings(changes.settings.newValue);
+    }
+  });
+
+  // Notify that content script is ready (background.js waits for this after injecting)
+  chrome.runtime.sendMessage({ type: 'CONTENT_SCRIPT_READY', version: CONTENT_SCRIPT_VERSION }).catch(() => {
     // Background may not be listening yet, that's okay
   });
 
@@ -0,0 +1,398 @@
+/**
+ * Moctale Extension - Floating Result Card
+ *
+ * Responsibilities:
+ * - Show context-menu search results in a card next to the selection
+ * - Keep page styles out with a closed Shadow DOM
+ * - Dismiss on Escape or outside click, or hand off to the full popup
+ *
+ * Injected on demand by background.js. Exposes
+ * window.__MOCTALE_FLOATING_CARD__.show(query) for the background to call.
+ */
+
+(function () {
+  'use strict';
+
+  // Prevent multiple injections
+  if (window.__MOCTALE_FLOATING_CARD__) {
+    return;
+  }
+
+  // ============================================================================
+  // Configuration
+  // ============================================================================
+
+  const CONFIG = {
+    maxResults: 5,
+    width: 320,
+    margin: 8,
+    moctaleUrl: 'https://www.moctale.in'
+  };
+
+  const CARD_STYLES = `
+    :host {
+      all: initial;
+    }
+
+    .card {
+      position: fixed;
+      z-index: 2147483647;
+      width: ${CONFIG.width}px;
+      max-height: 420px;
+      display: flex;
+      flex-direction: column;
+      font: 14px/1.5 -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      color: #ffffff;
+      background: #080808;
+      border: 1px solid #2a2a2a;
+      border-radius: 12px;
+      box-shadow: 0 10px 15px rgba(0, 0, 0, 0.5);
+      overflow: hidden;
+    }
+
+    .card:focus {
+      outline: none;
+    }
+
+    .header {
+      display: flex;
+      align-items: center;
+      gap: 8px;
+      padding: 10px 12px;
+      background: #111111;
+      border-bottom: 1px solid #2a2a2a;
+    }
+
+    .logo {
+      width: 22px;
+      height: 22px;
+      flex-shrink: 0;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      background: linear-gradient(135deg, #6366f1, #818cf8);
+      border-radius: 4px;
+      font-weight: 700;
+      font-size: 12px;
+    }
+
+    .query {
+      flex: 1;
+      min-width: 0;
+      font-size: 13px;
+      color: #a0a0a0;
+      white-space: nowrap;
+      overflow: hidden;
+      text-overflow: ellipsis;
+    }
+
+    button {
+      font: inherit;
+      cursor: pointer;
+    }
+
+    .close {
+      width: 24px;
+      height: 24px;
+      padding: 0;
+      color: #a0a0a0;
+      background: transparent;
+      border: none;
+      border-radius: 4px;
+      font-size: 16px;
+      line-height: 1;
+    }
+
+    .close:hover {
+      color: #ffffff;
+      background: #222222;
+    }
+
+    .body {
+      flex: 1;
+      overflow-y: auto;
+      padding: 8px;
+    }
+
+    .message {
+      padding: 16px 8px;
+      text-align: center;
+      font-size: 13px;
+      color: #a0a0a0;
+    }
+
+    .result {
+      display: flex;
+      gap: 10px;
+      width: 100%;
+      padding: 8px;
+      margin-bottom: 4px;
+      text-align: left;
+      color: inherit;
+      background: #111111;
+      border: 1px solid #2a2a2a;
+      border-radius: 8px;
+    }
+
+    .result:hover,
+    .result:focus {
+      background: #1a1a1a;
+      border-color: #6366f1;
+      outline: none;
+    }
+
+    .poster {
+      width: 36px;
+      height: 54px;
+      flex-shrink: 0;
+      background: #1a1a1a;
+      border-radius: 4px;
+      object-fit: cover;
+    }
+
+    .info {
+      min-width: 0;
+      display: flex;
+      flex-direction: column;
+      justify-content: center;
+    }
+
+    .title {
+      font-weight: 600;
+      white-space: nowrap;
+      overflow: hidden;
+      text-overflow: ellipsis;
+    }
+
+    .meta {
+      font-size: 12px;
+      color: #a0a0a0;
+    }
+
+    .rating {
+      color: #fbbf24;
+      font-weight: 600;
+    }
+
+    .footer {
+      padding: 8px;
+      border-top: 1px solid #2a2a2a;
+    }
+
+    .open-popup {
+      width: 100%;
+      padding: 8px;
+      color: #ffffff;
+      background: #1a1a1a;
+      border: 1px solid #2a2a2a;
+      border-radius: 8px;
+      font-size: 13px;
+    }
+
+    .open-popup:hover {
+      background: #222222;
+    }
+  `;
+
+  // ============================================================================
+  // State
+  // ============================================================================
+
+  let host = null;
+  let card = null;
+
+  // ============================================================================
+  // Positioning
+  // ============================================================================
+
+  /**
+   * Get the viewport rect of the current selection, if any
+   */
+  function getSelectionRect() {
+    const selection = window.getSelection();
+    if (!selection || selection.rangeCount === 0) return null;
+
+    const rect = selection.getRangeAt(0).getBoundingClientRect();
+    return rect.width || rect.height ? rect : null;
+  }
+
+  /**
+   * Place the card below the selection, or above it when there's no room
+   */
+  function positionCard(rect) {
+    const { width, margin } = CONFIG;
+    const cardHeight = card.offsetHeight;
+
+    if (!rect) {
+      card.style.top = `${margin * 2}px`;
+      card.style.left = `${window.innerWidth - width - margin * 2}px`;
+      return;
+    }
+
+    let top = rect.bottom + margin;
+    if (top + cardHeight > window.innerHeight - margin && rect.top - cardHeight - margin > margin) {
+      top = rect.top - cardHeight - margin;
+    }
+
+    const left = Math.min(Math.max(margin, rect.left), window.innerWidth - width - margin);
+
+    card.style.top = `${Math.max(margin, top)}px`;
+    card.style.left = `${Math.max(margin, left)}px`;
+  }
+
+  // ============================================================================
+  // Rendering
+  // ============================================================================
+
+  function createElement(tag, className, text) {
+    const element = document.createElement(tag);
+    if (className) element.className = className;
+    if (text !== undefined) element.textContent = text;
+    return element;
+  }
+
+  function renderMessage(body, text) {
+    body.replaceChildren(createElement('div', 'message', text));
+  }
+
+  function renderResult(movie) {
+    const button = createElement('button', 'result');
+    button.type = 'button';
+
+    const poster = createElement('img', 'poster');
+    poster.alt = '';
+    if (movie.poster) {
+      poster.src = movie.poster;
+      poster.addEventListener('error', () => poster.removeAttribute('src'));
+    }
+
+    const info = createElement('div', 'info');
+    info.appendChild(createElement('div', 'title', movie.title));
+
+    const meta = createElement('div', 'meta');
+    const rating = Number(movie.rating);
+    if (movie.rating !== null && movie.rating !== undefined && !isNaN(rating)) {
+      meta.appendChild(createElement('span', 'rating', `★ ${rating.toFixed(1)}`));
+      meta.appendChild(document.createTextNode(' · '));
+    }
+    const details = [movie.year, movie.type === 'series' ? 'Series' : 'Movie'].filter(Boolean);
+    meta.appendChild(document.createTextNode(details.join(' · ')));
+    info.appendChild(meta);
+
+    button.append(poster, info);
+    button.addEventListener('click', () => {
+      window.open(`${CONFIG.moctaleUrl}${movie.url}`, '_blank', 'noopener');
+      dismiss();
+    });
+
+    return button;
+  }
+
+  function renderResults(body, response) {
+    if (!response?.success) {
+      renderMessage(body, response?.message || 'Search failed');
+      return;
+    }
+
+    const results = (response.results || []).slice(0, CONFIG.maxResults);
+    if (results.length === 0) {
+      renderMessage(body, 'No movies found for your search.');
+      return;
+    }
+
+    body.replaceChildren(...results.map(renderResult));
+  }
+
+  // ============================================================================
+  // Lifecycle
+  // ============================================================================
+
+  function handleKeydown(event) {
+    if (event.key === 'Escape') {
+      event.stopPropagation();
+      dismiss();
+    }
+  }
+
+  function handleOutsideClick(event) {
+    if (host && !event.composedPath().includes(host)) {
+      dismiss();
+    }
+  }
+
+  function dismiss() {
+    if (!host) return;
+    host.remove();
+    host = null;
+    card = null;
+    document.removeEventListener('keydown', handleKeydown, true);
+    document.removeEventListener('mousedown', handleOutsideClick, true);
+  }
+
+  /**
+   * Show the card for a query and load its results
+   */
+  async function show(query) {
+    dismiss();
+
+    const rect = getSelectionRect();
+
+    host = createElement('div');
+    host.id = 'moctale-floating-card';
+    const shadow = host.attachShadow({ mode: 'closed' });
+
+    const style = createElement('style');
+    style.textContent = CARD_STYLES;
+
+    card = createElement('div', 'card');
+    card.tabIndex = -1;
+    card.setAttribute('role', 'dialog');
+    card.setAttribute('aria-label', `Moctale results for ${query}`);
+
+    const header = createElement('div', 'header');
+    const close = createElement('button', 'close', '×');
+    close.type = 'button';
+    close.title = 'Close (Esc)';
+    close.setAttribute('aria-label', 'Close');
+    close.addEventListener('click', dismiss);
+    header.append(createElement('span', 'logo', 'M'), createElement('span', 'query', `“${query}”`), close);
+
+    const body = createElement('div', 'body');
+    renderMessage(body, 'Searching...');
+
+    const footer = createElement('div', 'footer');
+    const openPopup = createElement('button', 'open-popup', 'Open full popup');
+    openPopup.type = 'button';
+    openPopup.addEventListener('click', () => {
+      chrome.runtime.sendMessage({ type: 'OPEN_FULL_POPUP', query }).catch(() => {});
+      dismiss();
+    });
+    footer.appendChild(openPopup);
+
+    card.append(header, body, footer);
+    shadow.append(style, card);
+    document.documentElement.appendChild(host);
+
+    positionCard(rect);
+    card.focus({ preventScroll: true });
+
+    document.addEventListener('keydown', handleKeydown, true);
+    document.addEventListener('mousedown', handleOutsideClick, true);
+
+    let response;
+    try {
+      response = await chrome.runtime.sendMessage({ type: 'SEARCH_MOVIES', query, cleanQuery: true });
+    } catch (error) {
+      response = { success: false, message: 'Extension was updated. Please reload the page.' };
+    }
+
+    // The card may have been dismissed or replaced while searching
+    if (!card || !card.contains(body)) return;
+
+    renderResults(body, response);
+    positionCard(rect);
+  }
+
+  window.__MOCTALE_FLOATING_CARD__ = { show, dismiss };
+
+})();
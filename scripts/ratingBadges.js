@@ -0,0 +1,259 @@
+/**
+ * Moctale Extension - Rating Badges Content Script
+ *
+ * Responsibilities:
+ * - Extract the title and year from supported movie pages
+ * - Look up the best Moctale match through the background service worker
+ * - Show a small Moctale rating badge next to the page's own rating
+ *
+ * Registered dynamically by background.js, only for the sites the user
+ * has enabled (and granted host permission for) in the options page.
+ */
+
+(function () {
+  'use strict';
+
+  // Prevent multiple injections
+  if (window.__MOCTALE_BADGES_INJECTED__) {
+    return;
+  }
+  window.__MOCTALE_BADGES_INJECTED__ = true;
+
+  // ============================================================================
+  // Site Extractors
+  // ============================================================================
+
+  /**
+   * Parse "Title (2023)" style strings used in og:title meta tags
+   */
+  function parseTitleWithYear(text) {
+    if (!text) return null;
+    const match = text.match(/^(.*?)\s*\((?:[^)]*?)(\d{4})[^)]*\)/);
+    if (match) {
+      return { title: match[1].trim(), year: parseInt(match[2], 10) };
+    }
+    return { title: text.trim(), year: null };
+  }
+
+  function getMetaContent(property) {
+    return document.querySelector(`meta[property="${property}"]`)?.content || null;
+  }
+
+  const SITES = {
+    imdb: {
+      hosts: ['www.imdb.com', 'm.imdb.com'],
+
+      extract() {
+        if (!/^\/title\/tt\d+\/?$/.test(window.location.pathname)) return null;
+
+        // og:title looks like "Jawan (2023) ⭐ 7.0 | Action, Thriller"
+        // or "Mirzapur (TV Series 2018– ) ⭐ 8.4 | ..."
+        const ogTitle = getMetaContent('og:title') || '';
+        const parsed = parseTitleWithYear(ogTitle);
+        const heading = document.querySelector('h1[data-testid="hero__pageTitle"]')?.textContent?.trim();
+
+        return {
+          title: heading || parsed?.title,
+          year: parsed?.year || null,
+          type: /TV (Mini )?Series/i.test(ogTitle) ? 'series' : 'movie'
+        };
+      },
+
+      anchor() {
+        return document.querySelector('[data-testid="hero-rating-bar__aggregate-rating"]') ||
+          document.querySelector('h1[data-testid="hero__pageTitle"]');
+      }
+    },
+
+    wikipedia: {
+      hosts: [/\.wikipedia\.org$/],
+
+      extract() {
+        const heading = document.querySelector('#firstHeading')?.textContent?.trim();
+        const infobox = document.querySelector('table.infobox');
+        if (!heading || !infobox) return null;
+
+        // Film and series articles: "Dune (2021 film)", or an infobox with film credits
+        const disambiguation = heading.match(/\((?:(\d{4}) )?(film|TV series|web series)\)$/i);
+        const infoboxText = infobox.textContent;
+        const isFilm = /Directed by/.test(infoboxText);
+        const isSeries = /Created by|No\. of episodes/.test(infoboxText);
+        if (!disambiguation && !isFilm && !isSeries) return null;
+
+        const releaseYear = infoboxText.match(/Release (?:date|dates)\D*?(\d{4})/)?.[1] ||
+          infoboxText.match(/Original release\D*?(\d{4})/)?.[1];
+
+        return {
+          title: heading.replace(/\s*\([^)]*\)$/, ''),
+          year: parseInt(disambiguation?.[1] || releaseYear, 10) || null,
+          type: isSeries || /series/i.test(disambiguation?.[2] || '') ? 'series' : 'movie'
+        };
+      },
+
+      // Wikipedia has no rating of its own, so the badge joins the heading
+      position: 'beforeend',
+
+      anchor() {
+        return document.querySelector('#firstHeading');
+      }
+    },
+
+    letterboxd: {
+      hosts: ['letterboxd.com'],
+
+      extract() {
+        if (!/^\/film\/[^/]+\/?$/.test(window.location.pathname)) return null;
+
+        // og:title looks like "Dune: Part Two (2024)"
+        const parsed = parseTitleWithYear(getMetaContent('og:title'));
+        if (!parsed) return null;
+
+        return { title: parsed.title, year: parsed.year, type: 'movie' };
+      },
+
+      anchor() {
+        return document.querySelector('.average-rating') ||
+          document.querySelector('.ratings-histogram-chart') ||
+          document.querySelector('h1.headline-1');
+      }
+    }
+  };
+
+  /**
+   * Find the extractor for the current site
+   */
+  function getCurrentSite() {
+    const host = window.location.hostname;
+    return Object.values(SITES).find(site =>
+      site.hosts.some(pattern => (pattern instanceof RegExp ? pattern.test(host) : pattern === host))
+    );
+  }
+
+  // ============================================================================
+  // Badge Rendering
+  // ============================================================================
+
+  const BADGE_STYLES = `
+    :host {
+      display: inline-block;
+      vertical-align: middle;
+      margin: 4px 8px;
+    }
+
+    a {
+      display: inline-flex;
+      align-items: center;
+      gap: 6px;
+      padding: 4px 10px 4px 4px;
+      font: 600 13px/1.2 -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      color: #ffffff;
+      background: #111111;
+      border: 1px solid #2a2a2a;
+      border-radius: 999px;
+      text-decoration: none;
+      cursor: pointer;
+    }
+
+    a:hover {
+      border-color: #6366f1;
+    }
+
+    .logo {
+      width: 20px;
+      height: 20px;
+      display: inline-flex;
+      align-items: center;
+      justify-content: center;
+      background: linear-gradient(135deg, #6366f1, #818cf8);
+      border-radius: 50%;
+      font-size: 11px;
+      font-weight: 700;
+    }
+
+    .rating {
+      color: #fbbf24;
+    }
+
+    .count {
+      color: #a0a0a0;
+      font-weight: 400;
+      font-size: 11px;
+    }
+  `;
+
+  /**
+   * Build the badge element (Shadow DOM keeps page styles out)
+   */
+  function createBadge(match) {
+    const host = document.createElement('span');
+    host.className = 'moctale-rating-badge';
+    const shadow = host.attachShadow({ mode: 'closed' });
+
+    const style = document.createElement('style');
+    style.textContent = BADGE_STYLES;
+
+    const link = document.createElement('a');
+    link.href = match.url;
+    link.target = '_blank';
+    link.rel = 'noopener noreferrer';
+    link.title = `${match.title}${match.year ? ` (${match.year})` : ''} on Moctale`;
+
+    const logo = document.createElement('span');
+    logo.className = 'logo';
+    logo.textContent = 'M';
+    link.appendChild(logo);
+
+    const rating = Number(match.rating);
+    const value = document.createElement('span');
+    if (match.rating !== null && match.rating !== undefined && !isNaN(rating)) {
+      value.className = 'rating';
+      value.textContent = `★ ${rating.toFixed(1)}`;
+    } else {
+      value.textContent = 'Moctale';
+    }
+    link.appendChild(value);
+
+    if (match.ratingCount) {
+      const count = document.createElement('span');
+      count.className = 'count';
+      count.textContent = `(${match.ratingCount})`;
+      link.appendChild(count);
+    }
+
+    shadow.append(style, link);
+    return host;
+  }
+
+  // ============================================================================
+  // Initialization
+  // ============================================================================
+
+  async function init() {
+    const site = getCurrentSite();
+    const info = site?.extract();
+    if (!info?.title) return;
+
+    let response;
+    try {
+      response = await chrome.runtime.sendMessage({
+        type: 'LOOKUP_TITLE',
+        title: info.title,
+        year: info.year,
+        mediaType: info.type
+      });
+    } catch (error) {
+      // Extension was reloaded or the service worker is unavailable
+      return;
+    }
+
+    if (!response?.success || !response.match) return;
+
+    const anchor = site.anchor();
+    if (!anchor || document.querySelector('.moctale-rating-badge')) return;
+
+    anchor.insertAdjacentElement(site.position || 'afterend', createBadge(response.match));
+  }
+
+  init();
+
+})();